@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * Headless simulation runner — no DOM, no Three.js.
+ *
+ * Runs SimulationEngine at max speed and prints colony stats over time,
+ * for iterating on ant AI and balance without opening a browser.
+ *
+ *   node src/headless.js --ticks 20000 --seed 42 --every 1000
+ *   npm run sim -- --ticks 5000 --json > run.json
+ *   npm run sim -- --bench            (tick time at 150 / 1000 / 5000 ants)
+ *   npm run sim -- --seed 42 --diffusion box --diffusion-every 4
+ *   npm run sim -- --map FFA4 --ticks 20000
+ *   npm run sim -- --ai AGGRESSIVE --ticks 60000
+ */
+import { pathToFileURL } from 'node:url';
+import CONFIG from './sim/config.js';
+import { SimulationEngine } from './sim/index.js';
+
+const USAGE = `Usage: node src/headless.js [options]
+
+  --ticks N     Ticks to simulate (default 10000)
+  --seed N      RNG seed (default: random)
+  --map ID      Map from CONFIG.MAPS (default ${CONFIG.DEFAULT_MAP}: ${Object.keys(CONFIG.MAPS).join(', ')})
+  --ai ID       AI difficulty from CONFIG.AI_DIFFICULTY (default ${CONFIG.DEFAULT_AI_DIFFICULTY}: ${Object.keys(CONFIG.AI_DIFFICULTY).join(', ')})
+  --every N     Report interval in ticks (default 1000)
+  --json        Emit one JSON object instead of a table
+  --bench [N,…] Benchmark tick time at these total ant counts
+                (default 150,1000,5000; uses --ticks, default 300)
+  --diffusion K Pheromone diffusion kernel: cross, box, or off
+  --diffusion-every N
+                Diffuse every N ticks instead of every tick
+  --set KEY=VAL Override any CONFIG value (VAL parsed as JSON when possible)
+  --help        Show this help`;
+
+const BENCH_COUNTS = [150, 1000, 5000];
+const BENCH_TICKS = 300;
+
+/**
+ * Parse --key value / --flag arguments.
+ */
+export function parseArgs(argv) {
+  const opts = { ticks: undefined, seed: undefined, map: CONFIG.DEFAULT_MAP, ai: CONFIG.DEFAULT_AI_DIFFICULTY, every: 1000, json: false, bench: null, config: {}, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--ticks': opts.ticks = parseInt(argv[++i], 10); break;
+      case '--seed':  opts.seed = parseInt(argv[++i], 10); break;
+      case '--every': opts.every = parseInt(argv[++i], 10); break;
+      case '--map':
+        opts.map = String(argv[++i]).toUpperCase();
+        if (!CONFIG.MAPS[opts.map]) throw new Error(`--map must be one of ${Object.keys(CONFIG.MAPS).join(', ')}`);
+        break;
+      case '--ai':
+        opts.ai = String(argv[++i]).toUpperCase();
+        if (!CONFIG.AI_DIFFICULTY[opts.ai]) throw new Error(`--ai must be one of ${Object.keys(CONFIG.AI_DIFFICULTY).join(', ')}`);
+        break;
+      case '--json':  opts.json = true; break;
+      case '--bench':
+        // Optional comma-separated counts directly after the flag
+        opts.bench = (argv[i + 1] && !argv[i + 1].startsWith('--'))
+          ? argv[++i].split(',').map(n => parseInt(n, 10))
+          : BENCH_COUNTS;
+        break;
+      case '--diffusion': {
+        const kernel = argv[++i];
+        if (kernel === 'off') {
+          opts.config.PHEROMONE_DIFFUSION = false;
+        } else if (kernel === 'cross' || kernel === 'box') {
+          opts.config.PHEROMONE_DIFFUSION = true;
+          opts.config.PHEROMONE_DIFFUSION_KERNEL = kernel;
+        } else {
+          throw new Error('--diffusion must be cross, box or off');
+        }
+        break;
+      }
+      case '--diffusion-every': {
+        const n = parseInt(argv[++i], 10);
+        if (!Number.isFinite(n) || n <= 0) throw new Error('--diffusion-every must be a positive integer');
+        opts.config.PHEROMONE_DIFFUSION_INTERVAL = n;
+        break;
+      }
+      case '--set': {
+        const [key, raw] = String(argv[++i]).split('=');
+        if (!(key in CONFIG) || raw === undefined) throw new Error(`--set expects KEY=VALUE with a CONFIG key, got '${argv[i]}'`);
+        try {
+          opts.config[key] = JSON.parse(raw);
+        } catch {
+          opts.config[key] = raw;
+        }
+        break;
+      }
+      case '--help':
+      case '-h':      opts.help = true; break;
+      default:
+        throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (opts.ticks === undefined) opts.ticks = opts.bench ? BENCH_TICKS : 10000;
+  if (opts.bench && !opts.bench.every(n => Number.isFinite(n) && n >= 2)) {
+    throw new Error('--bench counts must be integers ≥ 2');
+  }
+  for (const key of ['ticks', 'every']) {
+    if (!Number.isFinite(opts[key]) || opts[key] <= 0) {
+      throw new Error(`--${key} must be a positive integer`);
+    }
+  }
+  if (opts.seed !== undefined && !Number.isFinite(opts.seed)) {
+    throw new Error('--seed must be an integer');
+  }
+  return opts;
+}
+
+/**
+ * Run fn with CONFIG temporarily overridden; the previous values are
+ * restored afterwards even if fn throws.
+ */
+export function withConfig(overrides, fn) {
+  const saved = {};
+  for (const key of Object.keys(overrides)) saved[key] = CONFIG[key];
+  Object.assign(CONFIG, overrides);
+  try {
+    return fn();
+  } finally {
+    Object.assign(CONFIG, saved);
+  }
+}
+
+/**
+ * Run a match headlessly and collect periodic stat samples.
+ * Stops early if a queen dies.
+ * @param {object} [opts.config] - CONFIG overrides for this run only
+ */
+export function runHeadless({ ticks, seed, map, ai, every, config = {} }, onSample = () => {}) {
+  return withConfig(config, () => _runMatch({ ticks, seed, map, ai, every }, onSample));
+}
+
+function _runMatch({ ticks, seed, map, ai, every }, onSample) {
+  const engine = new SimulationEngine(seed, { map, difficulty: ai });
+  const samples = [];
+  const started = performance.now();
+
+  const sample = () => {
+    const s = {
+      tick: engine.tick,
+      time: engine.clock.getTimeString(),
+      season: engine.clock.season.id,
+      weather: engine.world.weather.state,
+      colonies: engine.colonies.map(c => ({ id: c.id, faction: c.faction, ants: c.ants.length, posture: c.orders?.posture ?? null })),
+      player: engine.getPlayerStats(),
+      enemy: engine.getEnemyStats(),
+    };
+    samples.push(s);
+    onSample(s);
+  };
+
+  sample();
+  while (engine.tick < ticks && !engine.gameOver) {
+    engine.updateTick();
+    if (engine.tick % every === 0) sample();
+  }
+  if (samples[samples.length - 1].tick !== engine.tick) sample();
+
+  const elapsedMs = performance.now() - started;
+  return {
+    seed: engine.seed,
+    map: engine.map,
+    ai: engine.difficulty,
+    ticks: engine.tick,
+    elapsedMs,
+    msPerTick: elapsedMs / Math.max(1, engine.tick),
+    victoryState: engine.victoryState,
+    samples,
+  };
+}
+
+/**
+ * Time updateTick() with `ants` ants split between the map's colonies.
+ * Ants are scattered over the part of the map nearest their own nest
+ * (mid-game spread) instead of piled on it, and the population cap is
+ * lifted so the count stays roughly constant. CONFIG is restored afterwards.
+ */
+export function runBenchmark({ ants, ticks, seed, map = CONFIG.DEFAULT_MAP, config = {} }) {
+  const perColony = Math.floor(ants / CONFIG.MAPS[map].nests.length);
+  // Queen + 80% workers + 20% soldiers
+  const soldiers = Math.floor((perColony - 1) * 0.2);
+  return withConfig({
+    ...config,
+    INITIAL_SOLDIERS: soldiers,
+    INITIAL_WORKERS: perColony - 1 - soldiers,
+    MAX_ANTS_PER_COLONY: Math.max(CONFIG.MAX_ANTS_PER_COLONY, perColony),
+  }, () => {
+    const engine = new SimulationEngine(seed, { map });
+    const nestDist = (colony, x, y) => Math.hypot(colony.nestX - x, colony.nestY - y);
+    for (const colony of engine.colonies) {
+      for (const ant of colony.ants) {
+        if (ant.type === 'QUEEN') continue;
+        do {
+          ant.x = engine.rng.range(1, CONFIG.WORLD_WIDTH - 1);
+          ant.y = engine.rng.range(1, CONFIG.WORLD_HEIGHT - 1);
+        } while (engine.colonies.some(c => nestDist(c, ant.x, ant.y) < nestDist(colony, ant.x, ant.y)));
+      }
+      engine._reindexColony(colony);
+    }
+
+    const antCount = () => engine.colonies.reduce((n, c) => n + c.ants.length, 0);
+    const startAnts = antCount();
+    const started = performance.now();
+    while (engine.tick < ticks && !engine.gameOver) engine.updateTick();
+    const elapsedMs = performance.now() - started;
+
+    return {
+      ants: startAnts,
+      endAnts: antCount(),
+      ticks: engine.tick,
+      elapsedMs,
+      msPerTick: elapsedMs / Math.max(1, engine.tick),
+    };
+  });
+}
+
+function formatRow(s) {
+  const col = (stats) =>
+    `${String(stats.totalAnts).padStart(4)} ${String(stats.workers).padStart(4)} ${String(stats.soldiers).padStart(4)} ` +
+    `${String(stats.food).padStart(5)} ${String(stats.foodCollected).padStart(5)} ${String(stats.hungry).padStart(4)} ` +
+    `${String(stats.eggs + stats.larvae + stats.pupae).padStart(5)} ${String(stats.queenHealth).padStart(4)}`;
+  const colonies = s.colonies.map(c => c.ants).join('/');
+  return `${String(s.tick).padStart(7)} | ${col(s.player)} | ${col(s.enemy)} | ${s.season.padEnd(6)} ${s.time} ${s.weather.padEnd(8)} ${colonies}`;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (opts.bench) {
+    const results = [];
+    if (!opts.json) console.log('   ants |  ticks |  ms/tick | ants at end');
+    for (const ants of opts.bench) {
+      const r = runBenchmark({ ants, ticks: opts.ticks, seed: opts.seed ?? 1, map: opts.map, config: opts.config });
+      results.push(r);
+      if (!opts.json) {
+        console.log(`${String(r.ants).padStart(7)} | ${String(r.ticks).padStart(6)} | ${r.msPerTick.toFixed(3).padStart(8)} | ${r.endAnts}`);
+      }
+    }
+    if (opts.json) console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  if (!opts.json) {
+    const head = ' ants  wrk  sol  food  coll  hun brood  qHP';
+    console.log(`   tick | ${'PLAYER'.padEnd(head.length)} | ${'ENEMY'.padEnd(head.length)} | WORLD`);
+    console.log(`        | ${head} | ${head} | season time  weather  ants per colony`);
+  }
+
+  const result = runHeadless(opts, opts.json ? undefined : s => console.log(formatRow(s)));
+
+  if (opts.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  console.log(`\nSeed: ${result.seed} · Map: ${result.map} · AI: ${result.ai}`);
+  if (Object.keys(opts.config).length) console.log(`Config: ${JSON.stringify(opts.config)}`);
+  console.log(`Ticks: ${result.ticks} in ${(result.elapsedMs / 1000).toFixed(2)}s (${result.msPerTick.toFixed(3)} ms/tick)`);
+  console.log(`Victory state: ${result.victoryState ?? 'none (match still running)'}`);
+}
+
+// Run as CLI only when executed directly (importable for scripting)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -4,6 +4,13 @@ import { SimulationEngine } from './sim/index.js';
 import { SceneManager } from './render/scene.js';
 import { PlayerController } from './render/player.js';
 import { UndergroundRenderer } from './render/underground.js';
+import { SaveStore } from './save.js';
+import { InputRecorder, ReplayPlayer } from './sim/replay.js';
+import { PHEROMONE } from './sim/pheromone.js';
+import { WEATHER } from './sim/weather.js';
+import { getCaste, casteTypes, casteColor, lifespanOf } from './sim/castes.js';
+import { factionStyle } from './sim/relations.js';
+import { injuryOf } from './sim/combat.js';
 
 console.log('🚀 AntenbOro modules loaded');
 const statusEl = document.getElementById('status');
@@ -15,10 +22,31 @@ function updateStatus(msg) {
  * Main game application.
  */
 class AntenbOro {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.replay] - recording to play back instead of a live match
+   * @param {string} [opts.difficulty] - CONFIG.AI_DIFFICULTY key for the computer colonies
+   */
+  constructor(opts = {}) {
     try {
       updateStatus('Creating simulation...');
-      this.simulation = new SimulationEngine();
+      if (opts.replay) {
+        // Playback: the replay owns the engine and drives its ticks
+        this.replay = new ReplayPlayer(opts.replay);
+        this.simulation = this.replay.engine;
+      } else {
+        // ?seed=1234 in the URL replays the same map and match;
+        // ?map=FFA4 picks the nest layout (CONFIG.MAPS)
+        const params = new URLSearchParams(window.location.search);
+        const seedParam = params.get('seed');
+        const map = (params.get('map') || CONFIG.DEFAULT_MAP).toUpperCase();
+        this.replay = null;
+        this.simulation = new SimulationEngine(seedParam !== null ? Number(seedParam) : undefined, {
+          map,
+          difficulty: opts.difficulty,
+        });
+      }
+      console.log('✓ Simulation seed: ' + this.simulation.seed);
       
       // Rendering
       const canvas = document.getElementById('canvas');
@@ -36,6 +64,18 @@ class AntenbOro {
       
       // UI
       this.uiManager = new UIManager(this.simulation, this.playerController);
+      this.uiManager.replay = this.replay;
+
+      if (this.replay) {
+        // Watch from overhead; hero is driven by the recorded commands
+        this.playerController.inputEnabled = false;
+        this.playerController.isFPSMode = false;
+        this._setupReplayKeys();
+        this.recorder = null;
+      } else {
+        // Record every match so it can be saved as a replay (F7)
+        this.recorder = new InputRecorder(this.simulation);
+      }
       
       // Fixed-timestep accumulator
       this.accumulator = 0;
@@ -44,9 +84,11 @@ class AntenbOro {
       
       // Initialize world visuals
       updateStatus('Building world...');
+      this.sceneManager.setHeightmap(this.simulation.world.heightmap);
       this.sceneManager.createTerrain();
-      this.sceneManager.createNestMeshes();
+      this.sceneManager.createNestMeshes(this.simulation.colonies);
       this.sceneManager.createFoodMeshes(this.simulation.world.foodPatches);
+      this.sceneManager.createObstacleMeshes(this.simulation.world.obstacles);
       this.sceneManager.snapWorldObjectsToTerrain();
       this.sceneManager.applyNestMoundsToTerrain();
       this.sceneManager.setupBloom();
@@ -69,6 +111,12 @@ class AntenbOro {
       this._prevHitFlash = new Map();
       // Track previous queen laying state for egg-burst particles
       this._prevQueenLaying = new Map();
+      // Track previous acid cooldown for formic-acid spray particles
+      this._prevAcid = new Map();
+
+      // Save / load (F6 quick save, F9 quick load)
+      this.saveStore = new SaveStore();
+      this._setupSaveKeys();
       
       // Start game loop
       this._setupGameLoop();
@@ -80,21 +128,170 @@ class AntenbOro {
     }
   }
 
+  _setupSaveKeys() {
+    document.addEventListener('keydown', (e) => {
+      if (this.replay) return;
+      if (e.key === 'F6') {
+        e.preventDefault();
+        this.saveGame();
+      } else if (e.key === 'F7') {
+        e.preventDefault();
+        this.saveReplay();
+      } else if (e.key === 'F9') {
+        e.preventDefault();
+        this.loadGame();
+      }
+    });
+  }
+
+  /**
+   * Replay viewer controls: Space play/pause, ↑/↓ speed (1–8×),
+   * [ / ] jump one checkpoint back/forward, G jump to tick.
+   */
+  _setupReplayKeys() {
+    document.addEventListener('keydown', (e) => {
+      const replay = this.replay;
+      const step = CONFIG.REPLAY_CHECKPOINT_INTERVAL;
+      switch (e.key) {
+        case ' ':
+          e.preventDefault();
+          replay.togglePlay();
+          break;
+        case 'ArrowUp':
+        case 'ArrowRight':
+          e.preventDefault();
+          replay.setSpeed(replay.speed * 2);
+          break;
+        case 'ArrowDown':
+        case 'ArrowLeft':
+          e.preventDefault();
+          replay.setSpeed(replay.speed / 2);
+          break;
+        case '[':
+          this._seekReplay(replay.tick - step);
+          break;
+        case ']':
+          this._seekReplay(replay.tick + step);
+          break;
+        case 'g':
+        case 'G': {
+          const answer = window.prompt(`Jump to tick (0–${replay.endTick}):`, String(replay.tick));
+          if (answer !== null && answer.trim() !== '' && Number.isFinite(Number(answer))) {
+            this._seekReplay(Number(answer));
+          }
+          break;
+        }
+      }
+    });
+  }
+
+  _seekReplay(tick) {
+    this.replay.seek(tick);
+    this.accumulator = 0;
+    this.playerController.restore(null);
+    this._rebuildWorldVisuals();
+  }
+
+  /**
+   * Save the input recording of this match (seed + config + commands).
+   */
+  async saveReplay(slot = 'replay') {
+    if (!this.recorder) return;
+    try {
+      const bytes = await this.saveStore.save(slot, this.recorder.serialize());
+      console.log(`✓ Replay saved: ${this.recorder.commands.length} commands, ${Math.round(bytes / 1024)} KB`);
+      this.uiManager.showMessage(`Replay saved — open with ?replay=${slot}`);
+    } catch (err) {
+      console.error('❌ Replay save failed:', err);
+      this.uiManager.showMessage('Replay save failed: ' + err.message);
+    }
+  }
+
+  /**
+   * Save the whole match (sim + hero/camera state) to browser storage.
+   */
+  async saveGame(slot = 'quicksave') {
+    try {
+      const data = SaveStore.createSave(this.simulation.serialize(), this.playerController.serialize());
+      const bytes = await this.saveStore.save(slot, data);
+      console.log(`✓ Saved '${slot}' at tick ${this.simulation.tick} (${Math.round(bytes / 1024)} KB)`);
+      this.uiManager.showMessage(`Game saved (tick ${this.simulation.tick})`);
+    } catch (err) {
+      console.error('❌ Save failed:', err);
+      this.uiManager.showMessage('Save failed: ' + err.message);
+    }
+  }
+
+  /**
+   * Load a saved match and rebuild every view that mirrors sim state.
+   */
+  async loadGame(slot = 'quicksave') {
+    try {
+      const data = await this.saveStore.load(slot);
+      if (!data) {
+        this.uiManager.showMessage(`No save in slot '${slot}'`);
+        return;
+      }
+      this.simulation.loadState(data.sim);
+      this.playerController.restore(data.player);
+      this.accumulator = 0;
+      this._rebuildWorldVisuals();
+      // A loaded match is a new timeline — restart the recording from here
+      if (this.recorder) {
+        this.recorder.stop();
+        this.recorder = new InputRecorder(this.simulation);
+      }
+      console.log(`✓ Loaded '${slot}' at tick ${this.simulation.tick}`);
+      this.uiManager.showMessage(`Game loaded (tick ${this.simulation.tick})`);
+    } catch (err) {
+      console.error('❌ Load failed:', err);
+      this.uiManager.showMessage('Load failed: ' + err.message);
+    }
+  }
+
+  /**
+   * Drop every mesh that mirrors sim entities and recreate from current state.
+   * Used after the simulation is replaced wholesale (save load).
+   */
+  _rebuildWorldVisuals() {
+    for (const key of [...this.sceneManager.antMeshes.keys()]) {
+      if (key !== this._ugQueenKey) this.sceneManager.removeAntMesh(key);
+    }
+    this.sceneManager.dyingAnts.clear();
+    this.sceneManager.syncFoundedNests([]);
+    this.sceneManager.syncCorpses([]);
+    this._prevHitFlash.clear();
+    this._prevQueenLaying.clear();
+    this._prevAcid.clear();
+
+    // Loaded worlds bring their own landscape
+    this.sceneManager.setHeightmap(this.simulation.world.heightmap);
+    this.sceneManager.createTerrain();
+    this.sceneManager.createNestMeshes(this.simulation.colonies);
+    this.sceneManager.applyNestMoundsToTerrain();
+
+    this.sceneManager.createFoodMeshes(this.simulation.world.foodPatches);
+    this.sceneManager.createObstacleMeshes(this.simulation.world.obstacles);
+    this.sceneManager.snapWorldObjectsToTerrain();
+    this.sceneManager.updateBrood([]);
+    this._updateUndergroundBrood([]);
+    this.undergroundRenderer.rebuild(this.simulation.playerColony.underground);
+    this._syncAntMeshes();
+  }
+
   _syncAntMeshes() {
     // Create initial meshes for all ants
-    const allAnts = [
-      ...this.simulation.playerColony.ants,
-      ...this.simulation.enemyColony.ants,
-    ];
-
-    for (const ant of allAnts) {
-      // Skip player colony queen — she lives underground
-      if (ant.type === 'QUEEN' && ant.colonyId === 0) continue;
-      const meshKey = `${ant.colonyId}_${ant.id}`;
-      if (!this.sceneManager.antMeshes.has(meshKey)) {
-        this.sceneManager.createAntMesh(meshKey, ant.type, ant.colonyId);
+    for (const colony of this.simulation.colonies) {
+      for (const ant of colony.ants) {
+        // Skip player colony queen — she lives underground
+        if (ant.type === 'QUEEN' && ant.colonyId === 0) continue;
+        const meshKey = `${ant.colonyId}_${ant.id}`;
+        if (!this.sceneManager.antMeshes.has(meshKey)) {
+          this.sceneManager.createAntMesh(meshKey, ant.type, colony.faction);
+        }
       }
     }
+    this.sceneManager.syncFoundedNests(this.simulation.colonies);
   }
 
   /**
@@ -174,14 +371,18 @@ class AntenbOro {
       this.lastFrameTime = currentTime;
       const delta = Math.min(deltaMs / 1000, 0.05); // Clamp to 50ms max
       
-      // Accumulate time
-      const speedMultiplier = this.playerController.isFPSMode ? 1 : this.simulation.getSpeedMultiplier();
-      this.accumulator += delta * speedMultiplier;
-      
-      // Run fixed-timestep simulation updates
-      while (this.accumulator >= this.deltaTime) {
-        this.simulation.updateTick();
-        this.accumulator -= this.deltaTime;
+      if (this.replay) {
+        this._advanceReplay(delta);
+      } else {
+        // Accumulate time
+        const speedMultiplier = this.playerController.isFPSMode ? 1 : this.simulation.getSpeedMultiplier();
+        this.accumulator += delta * speedMultiplier;
+        
+        // Run fixed-timestep simulation updates
+        while (this.accumulator >= this.deltaTime) {
+          this.simulation.updateTick();
+          this.accumulator -= this.deltaTime;
+        }
       }
       
       // Update player input
@@ -204,14 +405,17 @@ class AntenbOro {
       this.sceneManager.updateParticles(realDt);
 
       // Update 3D pheromone trails (food + alarm)
-      const playerGrid = this.simulation.world.pheromones.getHeatmap(0);
-      const enemyGrid = this.simulation.world.pheromones.getHeatmap(1);
-      const playerAlarmGrid = this.simulation.world.pheromones.getHeatmap(2);
-      const enemyAlarmGrid = this.simulation.world.pheromones.getHeatmap(3);
-      this.sceneManager.updatePheromoneLayer(playerGrid, enemyGrid, playerAlarmGrid, enemyAlarmGrid);
+      const food = pheromoneBuffers(this.simulation, PHEROMONE.FOOD);
+      const alarm = pheromoneBuffers(this.simulation, PHEROMONE.ALARM);
+      this.sceneManager.updatePheromoneLayer(food.own, food.others, alarm.own, alarm.others);
       
-      // Update food visuals
+      // Update food and corpse visuals
       this.sceneManager.updateFoodMeshes(this.simulation.world.foodPatches);
+      this.sceneManager.syncCorpses(this.simulation.world.corpses);
+
+      // Sun, sky and fog follow the sim clock; rain, wet ground and floods the weather
+      this.sceneManager.updateDayNight(this.simulation.clock, this.simulation.world.weather);
+      this.sceneManager.updateWeather(this.simulation.world.weather, realDt);
       
       // Update camera
       this.playerController.updateCamera(this.sceneManager.camera);
@@ -232,30 +436,51 @@ class AntenbOro {
     requestAnimationFrame(gameLoop);
   }
 
+  /**
+   * Replay playback: same fixed timestep, paced by the replay's own
+   * play/pause and 1–8× speed instead of the live speed levels.
+   */
+  _advanceReplay(delta) {
+    if (!this.replay.isPlaying) return;
+    this.accumulator += delta * this.replay.speed;
+    while (this.accumulator >= this.deltaTime) {
+      this.accumulator -= this.deltaTime;
+      if (!this.replay.step()) {
+        this.replay.isPlaying = false;
+        this.accumulator = 0;
+        break;
+      }
+    }
+  }
+
   _updateAntMeshes() {
-    const allAnts = [
-      ...this.simulation.playerColony.ants,
-      ...this.simulation.enemyColony.ants,
-    ];
+    const colonies = this.simulation.colonies;
+    const allAnts = colonies.flatMap(colony => colony.ants);
+    const factionOf = new Map(colonies.map(colony => [colony.id, colony.faction]));
+    const liveKeys = new Set();
 
     // Update existing ant meshes
     for (const ant of allAnts) {
       // Skip player colony queen — she lives underground
       if (ant.type === 'QUEEN' && ant.colonyId === 0) continue;
       const meshKey = `${ant.colonyId}_${ant.id}`;
+      liveKeys.add(meshKey);
       if (!ant.isDead) {
         // Queen moves slowly inside nest; detect if actually moving
         const isMoving = ant.type === 'QUEEN'
           ? (ant.isLayingEgg <= 0) // queen moves unless laying
-          : (ant.state !== 'GUARDING' || ant.isPlayerControlled);
+          : ant.isPlayerControlled || (ant.state !== 'GUARDING' && !ant.feeding &&
+              !((ant.state === 'RESTING' || ant.state === 'WOUNDED') &&
+                Math.hypot(ant.x - ant.nestX, ant.y - ant.nestY) <= CONFIG.NEST_RADIUS * 0.5));
         this.sceneManager.updateAntMesh(
           meshKey, ant.x, ant.y, ant.angle,
-          ant.carryingFood, ant.hitFlash, isMoving
+          ant.carryingFood || (ant.haulCorpse ? 1 : 0), ant.hitFlash, isMoving,
+          !!ant.feeding, ant.cropFood / CONFIG.CROP_CAPACITY
         );
         
         // Ensure mesh exists
         if (!this.sceneManager.antMeshes.has(meshKey)) {
-          this.sceneManager.createAntMesh(meshKey, ant.type, ant.colonyId);
+          this.sceneManager.createAntMesh(meshKey, ant.type, factionOf.get(ant.colonyId));
         }
 
         // Pass queen laying state to mesh for animation
@@ -284,26 +509,49 @@ class AntenbOro {
           this.sceneManager.spawnParticles(wx, wy, wz, 6, {r:1, g:0.6, b:0.1}, 0.15, 0.5);
         }
         this._prevHitFlash.set(meshKey, ant.hitFlash);
+
+        // Fresh acid spray (cooldown just reset): pale mist ahead of the ant
+        if (ant.acidCooldown > (this._prevAcid.get(meshKey) || 0)) {
+          const reach = CONFIG.ACID_RANGE * 0.5;
+          const wx = (ant.x + Math.cos(ant.angle) * reach - CONFIG.WORLD_WIDTH / 2) * CONFIG.CELL_SIZE;
+          const wz = (ant.y + Math.sin(ant.angle) * reach - CONFIG.WORLD_HEIGHT / 2) * CONFIG.CELL_SIZE;
+          const wy = this.sceneManager.getTerrainHeight(wx, wz) + 0.2;
+          this.sceneManager.spawnParticles(wx, wy, wz, 10, {r:0.85, g:1, b:0.6}, 0.6, 0.3);
+        }
+        this._prevAcid.set(meshKey, ant.acidCooldown);
       } else {
         // Start death animation instead of instant removal
         if (this.sceneManager.antMeshes.has(meshKey) && !this.sceneManager.dyingAnts.has(meshKey)) {
           this.sceneManager.startDeathAnimation(meshKey);
           this._prevHitFlash.delete(meshKey);
+          this._prevAcid.delete(meshKey);
         }
       }
     }
+
+    // Ants removed from the sim this tick (killed, or gone on a nuptial
+    // flight) never show up above as isDead — fade their meshes out too
+    for (const meshKey of this.sceneManager.antMeshes.keys()) {
+      if (liveKeys.has(meshKey) || meshKey === this._ugQueenKey) continue;
+      if (this.sceneManager.dyingAnts.has(meshKey)) continue;
+      this.sceneManager.startDeathAnimation(meshKey);
+      this._prevHitFlash.delete(meshKey);
+      this._prevQueenLaying.delete(meshKey);
+      this._prevAcid.delete(meshKey);
+    }
+    this.sceneManager.syncFoundedNests(this.simulation.colonies);
   }
 
   /**
-   * Sync brood meshes (eggs, larvae, pupae) with both colonies.
+   * Sync brood meshes (eggs, larvae, pupae) with every colony.
    * Each brood item gets a unique key, position, and lifecycle stage.
-   * Player colony brood lives underground; enemy colony brood is on surface.
+   * Player colony brood lives underground; other colonies' brood is on surface.
    */
   _updateEggMeshes() {
     const surfaceBrood = [];
     const ugBrood = [];
 
-    for (const colony of [this.simulation.playerColony, this.simulation.enemyColony]) {
+    for (const colony of this.simulation.colonies) {
       const isPlayer = colony.id === 0;
       const list = isPlayer ? ugBrood : surfaceBrood;
 
@@ -336,7 +584,7 @@ class AntenbOro {
       }
     }
 
-    // Surface brood (enemy colony) — render in surface scene
+    // Surface brood (other colonies) — render in surface scene
     this.sceneManager.updateBrood(surfaceBrood);
 
     // Underground brood (player colony) — position in queen chamber
@@ -454,6 +702,26 @@ class AntenbOro {
 /**
  * Simple UI manager for HUD display.
  */
+/** Minimap / strategy view colours per CONFIG.FOOD_TYPES key. */
+const FOOD_COLORS = { SEED: '#ffcc00', SUGAR: '#e8f4ff', INSECT: '#8fae5a', CORPSE: '#9a8a78' };
+
+/**
+ * One pheromone type's buffers: the player colony's own, and every other
+ * colony's (drawn together as "theirs").
+ */
+function pheromoneBuffers(simulation, type) {
+  const pheromones = simulation.world.pheromones;
+  const [own, ...others] = simulation.colonies.map(c => pheromones.getBuffer(pheromones.channel(c.id, type)));
+  return { own, others };
+}
+
+/** Sum of several pheromone buffers at one cell. */
+function sumAt(buffers, i) {
+  let total = 0;
+  for (const buf of buffers) total += buf[i];
+  return total;
+}
+
 class UIManager {
   constructor(simulation, playerController) {
     this.simulation = simulation;
@@ -472,12 +740,174 @@ class UIManager {
       this.strategyCtx = this.strategyCanvas.getContext('2d');
       this._resizeStrategyCanvas();
       window.addEventListener('resize', () => this._resizeStrategyCanvas());
+      this.strategyCanvas.addEventListener('click', (e) => this._inspectAt(e.offsetX, e.offsetY));
     }
     
     // Pan/zoom for strategy view
     this.stratPanX = CONFIG.WORLD_WIDTH / 2;
     this.stratPanY = CONFIG.WORLD_HEIGHT / 2;
     this.stratZoom = 1.0; // 1.0 = fit whole world
+
+    // Transient status line (save/load feedback etc.)
+    this.message = null;
+    this.messageUntil = 0;
+
+    // Ant inspector: { colonyId, antId } picked by clicking in the strategy view
+    this.inspected = null;
+    this.stratView = null;           // Last strategy view transform { gridLeft, gridTop, cellPx }
+
+    // Tick of the last nuptial flight already announced
+    this.seenFlightTick = -1;
+  }
+
+  /**
+   * Show a short status message in the HUD for a few seconds.
+   */
+  showMessage(text, durationMs = 3000) {
+    this.message = text;
+    this.messageUntil = performance.now() + durationMs;
+  }
+
+  /**
+   * "W:20 S:5 …" for the castes a colony has, each in its caste colour.
+   */
+  _casteCounts(stats, faction) {
+    return casteTypes()
+      .filter(t => t !== 'QUEEN' && stats.castes[t] > 0)
+      .map(t => {
+        const caste = getCaste(t);
+        return `<span style="color:${casteColor(t, faction)}">${caste.abbr}:${stats.castes[t]}</span>`;
+      })
+      .join(' ');
+  }
+
+  /**
+   * Announce a nuptial flight that just happened (once per flight).
+   */
+  _announceNuptialFlight() {
+    const flight = this.simulation.lastNuptialFlight;
+    if (!flight || flight.tick === this.seenFlightTick) return;
+    this.seenFlightTick = flight.tick;
+    if (this.simulation.tick - flight.tick > CONFIG.TICKS_PER_SECOND) return;   // Restored from a save
+    const founded = flight.founded.length;
+    this.showMessage(`🪽 Nuptial flight: ${flight.alates} alates took off — ${founded} new ${founded === 1 ? 'colony' : 'colonies'} founded`, 6000);
+  }
+
+  /**
+   * "● Yellow #3 (rival)" in the colony's faction colour; founded colonies
+   * carry their id, and the side is relative to the player.
+   */
+  _colonyLabel(colony) {
+    const sim = this.simulation;
+    const style = factionStyle(colony.faction);
+    const side = colony.faction === 0 ? 'ours' : sim.areHostile(sim.playerColony, colony) ? 'rival' : 'ally';
+    const name = colony.parentId === null ? style.name : `${style.name} #${colony.id}`;
+    return `<span style="color:${style.nest}">● ${name}</span> (${side})`;
+  }
+
+  /**
+   * One line per colony beyond the player's and the enemy's (other nests on
+   * free-for-all maps, founded colonies): faction, side, ants, queen.
+   */
+  _otherColoniesHtml() {
+    const sim = this.simulation;
+    const rows = sim.colonies.slice(2).map(colony => {
+      const queen = colony.queen && !colony.queen.isDead ? `queen ${Math.ceil(colony.queen.health)} HP` : 'queenless';
+      return `<p>${this._colonyLabel(colony)} — ${colony.ants.length} ants, ${queen}</p>`;
+    });
+    return rows.length ? `<div class="hud-section"><h3>Other Colonies</h3>${rows.join('')}</div>` : '';
+  }
+
+  /**
+   * Warning line while dead ants lie uncleared near a colony's nest.
+   */
+  _corpsesHtml(stats) {
+    const n = stats.corpsesNearNest;
+    if (!n) return '';
+    const sick = n > CONFIG.CORPSE_TOLERANCE ? ' — the nest is getting sick' : '';
+    return `<p>☠️ ${n} corpse${n === 1 ? '' : 's'} near the nest${sick}</p>`;
+  }
+
+  /**
+   * One line listing a colony's built buildings and their bonuses, if any.
+   */
+  _buildingsHtml(stats) {
+    const b = stats.buildings;
+    const pct = x => `+${Math.round(100 * (x - 1))}%`;
+    const parts = [];
+    if (b.nurseries) parts.push(`${b.nurseries}× nursery (brood ${pct(b.broodSpeed)})`);
+    if (b.foodStores) parts.push(`${b.foodStores}× food store (cap ${stats.foodCapacity})`);
+    if (b.tunnelSpeed > 1) parts.push(`${b.tunnels} tunnels (underground ${pct(b.tunnelSpeed)})`);
+    if (b.barricades) parts.push(`${b.barricades}× barricade (${Math.round(100 * b.barricadeIntegrity)}%)`);
+    if (b.beacons) parts.push(`${b.beacons}× beacon (sight ${pct(b.sightBonus)})`);
+    if (b.infirmaries) parts.push(`${b.infirmaries}× infirmary (healing ${pct(b.healBonus)})`);
+    return parts.length ? `<p>🏗️ ${parts.join(' · ')}</p>` : '';
+  }
+
+  /**
+   * "N:4 D:2 F:12 G:1" — workers per age stage, youngest first.
+   */
+  _ageStageCounts(stats) {
+    return CONFIG.AGE_STAGES.map(s => `${s.abbr}:${stats.ageStages[s.id]}`).join(' ');
+  }
+
+  // ─── ANT INSPECTOR ──────────────────────────────────────────────────
+
+  /**
+   * Select the ant nearest a click in the strategy view (within a few cells),
+   * or clear the selection.
+   */
+  _inspectAt(px, py) {
+    const view = this.stratView;
+    if (!view) return;
+    const gx = view.gridLeft + px / view.cellPx;
+    const gy = view.gridTop + py / view.cellPx;
+    let best = null;
+    let bestDist = 3;
+    for (const colony of this.simulation.colonies) {
+      for (const ant of colony.ants) {
+        const d = Math.hypot(ant.x - gx, ant.y - gy);
+        if (!ant.isDead && d < bestDist) {
+          best = ant;
+          bestDist = d;
+        }
+      }
+    }
+    this.inspected = best ? { colonyId: best.colonyId, antId: best.id } : null;
+  }
+
+  _getInspectedAnt() {
+    if (!this.inspected) return null;
+    const colony = this.simulation.getColony(this.inspected.colonyId);
+    const ant = colony?.ants.find(a => a.id === this.inspected.antId && !a.isDead);
+    if (!ant) this.inspected = null;   // Died (or a new match was loaded)
+    return ant || null;
+  }
+
+  _inspectorHtml(ant) {
+    const colony = this.simulation.getColony(ant.colonyId);
+    const caste = ant.caste;
+    const stage = ant.lifeStage;
+    const lifespan = lifespanOf(ant.type);
+    const days = (ant.age / CONFIG.DAY_LENGTH_TICKS).toFixed(1);
+    const ageText = lifespan > 0
+      ? `${days} days (${Math.floor(100 * ant.age / lifespan)}% of lifespan)`
+      : `${days} days`;
+    return `
+      <div class="hud-section">
+        <h3>🔍 ${ant.colonyId === 0 ? 'Our' : 'A'} ${caste.name.toLowerCase()} #${ant.id}</h3>
+        <p>Colony: ${this._colonyLabel(colony)}</p>
+        <p>Age: ${ageText}</p>
+        ${stage ? `<p>Job: ${stage.name} (${CONFIG.AGE_STAGES.map(s => s === stage ? `<b>${s.abbr}</b>` : s.abbr).join(' → ')})</p>` : ''}
+        <p>State: ${ant.state}</p>
+        <p>HP: ${Math.ceil(ant.health)}/${ant.maxHealth}${injuryOf(ant) ? ` (${injuryOf(ant).name.toLowerCase()})` : ''} · Energy: ${Math.ceil(ant.energy)}/${CONFIG.ANT_MAX_ENERGY}</p>
+        ${ant.carryingFood > 0 ? `<p>Carrying: ${CONFIG.FOOD_TYPES[ant.carryingType]?.name || 'food'}</p>` : ''}
+        ${ant.haulCorpse ? '<p>Carrying: a dead nestmate, to the midden</p>' : ''}
+        ${ant.cropFood > 0 ? `<p>Crop: ${ant.cropFood.toFixed(1)}/${CONFIG.CROP_CAPACITY} food</p>` : ''}
+        ${ant.feeding ? `<p>${ant.feeding.giver ? 'Feeding' : 'Being fed by'} nestmate #${ant.feeding.antId}</p>` : ''}
+        ${ant.foodShared > 0 ? `<p>Food shared: ${ant.foodShared.toFixed(1)}</p>` : ''}
+        <p>Click empty ground to close</p>
+      </div>`;
   }
 
   _resizeStrategyCanvas() {
@@ -497,26 +927,78 @@ class UIManager {
     // Update HUD text
     const playerStats = this.simulation.getPlayerStats();
     const enemyStats = this.simulation.getEnemyStats();
+    this._announceNuptialFlight();
     
     let hudText = `
       <div class="hud-section">
         <h3>Player Colony</h3>
-        <p>Food: ${playerStats.food}</p>
-        <p>Ants: ${playerStats.totalAnts} (W:${playerStats.workers} S:${playerStats.soldiers})</p>
+        <p>Food: ${playerStats.food}/${playerStats.foodCapacity}${playerStats.hungry ? ` — ${playerStats.hungry} hungry` : ''}</p>
+        <p>Ants: ${playerStats.totalAnts} (${this._casteCounts(playerStats, 0)})${playerStats.wounded ? ` — ${playerStats.wounded} wounded` : ''}</p>
+        <p>Jobs: ${this._ageStageCounts(playerStats)}</p>
+        ${this._corpsesHtml(playerStats)}
+        ${this._buildingsHtml(playerStats)}
         <p>Queen HP: ${playerStats.queenHealth}/${playerStats.queenMaxHealth}</p>
       </div>
       <div class="hud-section">
         <h3>Enemy Colony</h3>
-        <p>Food: ${enemyStats.food}</p>
-        <p>Ants: ${enemyStats.totalAnts} (W:${enemyStats.workers} S:${enemyStats.soldiers})</p>
+        <p>Food: ${enemyStats.food}/${enemyStats.foodCapacity}${enemyStats.hungry ? ` — ${enemyStats.hungry} hungry` : ''}</p>
+        <p>Ants: ${enemyStats.totalAnts} (${this._casteCounts(enemyStats, 1)})${enemyStats.wounded ? ` — ${enemyStats.wounded} wounded` : ''}</p>
+        <p>Jobs: ${this._ageStageCounts(enemyStats)}</p>
+        ${this._corpsesHtml(enemyStats)}
+        ${this._buildingsHtml(enemyStats)}
         <p>Queen HP: ${enemyStats.queenHealth}/${enemyStats.queenMaxHealth}</p>
+        <p>AI: ${CONFIG.AI_DIFFICULTY[this.simulation.difficulty].name} — ${this.simulation.enemyColony.orders?.posture ?? 'GROW'}</p>
       </div>
+      ${this._otherColoniesHtml()}
       <div class="hud-section">
         <p>Mode: ${this.playerController.isUnderground ? '🕳️ UNDERGROUND (Press E at entrance to exit)' : this.playerController.isFPSMode ? 'FPS (Press TAB for Overhead, E at nest to enter)' : 'OVERHEAD (Press TAB for FPS)'}</p>
         <p>Speed: ${this.simulation.getSpeedMultiplier()}x</p>
+        <p>Time: ${this.simulation.clock.isNight ? '🌙' : '☀️'} ${this.simulation.clock.getTimeString()} — ${this.simulation.clock.season.name}, day ${this.simulation.clock.day + 1}</p>
+        <p>Weather: ${WEATHER[this.simulation.world.weather.state].name}${this.simulation.world.weather.floodLevel > 0.01 ? ' — flooding' : ''}</p>
         <p>Tick: ${this.simulation.tick}</p>
+        <p>Seed: ${this.simulation.seed}</p>
       </div>
     `;
+
+    const hero = this.simulation.playerAnt;
+    if (hero && !hero.isDead) {
+      const injury = injuryOf(hero);
+      const healthPct = Math.max(0, Math.min(100, 100 * hero.health / hero.maxHealth));
+      hudText += `
+      <div class="hud-section">
+        <p>❤️ Health: ${Math.ceil(hero.health)}/${hero.maxHealth}${injury ? ` — ${injury.name.toLowerCase()}, heal at the nest` : ''}</p>
+        <div class="health-bar"><div style="width:${healthPct}%;background:${injury ? (injury.id === 'CRIPPLED' ? '#ff3333' : '#ffaa00') : '#00ff00'}"></div></div>
+        <p>${hero.energy > 0 ? '🍯' : '⚠️'} Energy: ${Math.ceil(hero.energy)}/${CONFIG.ANT_MAX_ENERGY}${hero.energy > 0 ? '' : ' — starving, eat at the nest'}</p>
+      </div>`;
+    }
+    if (hero && hero.dragFood >= 0) {
+      const world = this.simulation.world;
+      const food = world.foodPatches[hero.dragFood];
+      if (food) {
+        hudText += `
+      <div class="hud-section">
+        <p>🪲 Dragging ${CONFIG.FOOD_TYPES[food.type].name.toLowerCase()} — ${food.held}/${world.carriersNeeded(food)} carriers${food.moving ? '' : ' (need help)'}</p>
+      </div>`;
+      }
+    }
+
+    const inspected = this._getInspectedAnt();
+    if (inspected) hudText += this._inspectorHtml(inspected);
+
+    if (this.replay) {
+      const r = this.replay;
+      hudText += `
+      <div class="hud-section">
+        <h3>Replay</h3>
+        <p>${r.isFinished ? '⏹ Finished' : r.isPlaying ? '▶ Playing' : '⏸ Paused'} — ${r.speed}x</p>
+        <p>Tick ${r.tick} / ${r.endTick}</p>
+        <p>Space play/pause · ↑↓ speed · [ ] jump · G go to tick</p>
+      </div>`;
+    }
+
+    if (this.message && performance.now() < this.messageUntil) {
+      hudText += `<div class="hud-section"><p>${this.message}</p></div>`;
+    }
     
     if (this.simulation.gameOver) {
       hudText += `<div class="game-over"><h1>${this.simulation.victoryState === 'WON' ? 'VICTORY!' : 'DEFEAT!'}</h1></div>`;
@@ -550,15 +1032,17 @@ class UIManager {
     ctx.fillRect(0, 0, w, h);
     
     // --- Draw pheromone trails ---
-    // Player colony pheromones (green glow)
-    const playerGrid = this.simulation.world.pheromones.getHeatmap(0);
-    const enemyGrid = this.simulation.world.pheromones.getHeatmap(1);
+    // Player colony food trails (green glow), everyone else's (red)
+    const food = pheromoneBuffers(this.simulation, PHEROMONE.FOOD);
+    const playerBuf = food.own;
+    const enemyBufs = food.others;
+    const H = CONFIG.WORLD_HEIGHT;
     
     // Sample every 2 cells for performance
     for (let gx = 0; gx < CONFIG.WORLD_WIDTH; gx += 2) {
-      for (let gy = 0; gy < CONFIG.WORLD_HEIGHT; gy += 2) {
-        const pVal = playerGrid[gx][gy];
-        const eVal = enemyGrid[gx][gy];
+      for (let gy = 0; gy < H; gy += 2) {
+        const pVal = playerBuf[gx * H + gy];
+        const eVal = sumAt(enemyBufs, gx * H + gy);
         
         if (pVal > 3) {
           const alpha = Math.min(0.7, pVal / 150);
@@ -573,44 +1057,51 @@ class UIManager {
       }
     }
     
+    // --- Draw obstacles ---
+    this._drawObstacles(ctx, gx => gx * scaleX, gy => gy * scaleY, scaleX);
+    
     // --- Draw food patches ---
-    ctx.fillStyle = '#ffcc00';
     for (const food of this.simulation.world.foodPatches) {
       if (food.amount > 0) {
-        const size = Math.max(3, Math.ceil((food.amount / CONFIG.FOOD_PER_CLUSTER) * 6));
+        const size = food.type === 'INSECT' ? 4 : Math.max(3, Math.ceil((food.amount / CONFIG.FOOD_PER_CLUSTER) * 6));
+        ctx.fillStyle = FOOD_COLORS[food.type] || FOOD_COLORS.SEED;
         ctx.fillRect(food.x * scaleX - size / 2, food.y * scaleY - size / 2, size, size);
       }
     }
+
+    // --- Draw corpses ---
+    ctx.fillStyle = FOOD_COLORS.CORPSE;
+    for (const corpse of this.simulation.world.corpses) {
+      ctx.fillRect(corpse.x * scaleX - 1, corpse.y * scaleY - 1, 2, 2);
+    }
     
-    // --- Draw nest locations ---
-    // Player nest
-    ctx.strokeStyle = '#00ff88';
+    // --- Draw nest locations (founded colonies get a smaller ring) ---
     ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.arc(
-      CONFIG.PLAYER_COLONY_NEST_X * scaleX,
-      CONFIG.PLAYER_COLONY_NEST_Y * scaleY,
-      CONFIG.NEST_RADIUS * scaleX, 0, Math.PI * 2
-    );
-    ctx.stroke();
-    ctx.fillStyle = 'rgba(0, 255, 100, 0.15)';
-    ctx.fill();
-    
-    // Enemy nest
-    ctx.strokeStyle = '#ff4444';
-    ctx.beginPath();
-    ctx.arc(
-      CONFIG.ENEMY_COLONY_NEST_X * scaleX,
-      CONFIG.ENEMY_COLONY_NEST_Y * scaleY,
-      CONFIG.NEST_RADIUS * scaleX, 0, Math.PI * 2
-    );
-    ctx.stroke();
-    ctx.fillStyle = 'rgba(255, 50, 50, 0.15)';
-    ctx.fill();
+    for (const colony of this.simulation.colonies) {
+      const colors = factionStyle(colony.faction);
+      const r = CONFIG.NEST_RADIUS * scaleX * (colony.parentId === null ? 1 : 0.5);
+      ctx.strokeStyle = colors.nest;
+      ctx.beginPath();
+      ctx.arc(colony.nestX * scaleX, colony.nestY * scaleY, r, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.fillStyle = `rgba(${colors.fill}, 0.15)`;
+      ctx.fill();
+    }
     ctx.lineWidth = 1;
     
     // --- Draw ants ---
-    // Player ants (green dots)
+    // Other colonies' ants (dots in their faction colour)
+    for (const colony of this.simulation.colonies) {
+      if (colony.id === 0) continue;
+      ctx.fillStyle = factionStyle(colony.faction).dot;
+      for (const ant of colony.ants) {
+        if (!ant.isDead) {
+          ctx.fillRect(ant.x * scaleX - 1, ant.y * scaleY - 1, 2, 2);
+        }
+      }
+    }
+
+    // Player ants (green dots, drawn last so the hero stays on top)
     ctx.fillStyle = '#33ff33';
     for (const ant of this.simulation.playerColony.ants) {
       if (!ant.isDead) {
@@ -636,20 +1127,43 @@ class UIManager {
       }
     }
     
-    // Enemy ants (red dots)
-    ctx.fillStyle = '#ff3322';
-    for (const ant of this.simulation.enemyColony.ants) {
-      if (!ant.isDead) {
-        ctx.fillRect(ant.x * scaleX - 1, ant.y * scaleY - 1, 2, 2);
-      }
-    }
-    
     // --- Border ---
     ctx.strokeStyle = '#00ff00';
     ctx.lineWidth = 1;
     ctx.strokeRect(0, 0, w, h);
   }
 
+  /**
+   * Draw rocks, twigs and puddles onto a 2D map.
+   * @param {function(number): number} toX - grid x → canvas x
+   * @param {function(number): number} toY - grid y → canvas y
+   * @param {number} cellPx - canvas pixels per grid cell
+   */
+  _drawObstacles(ctx, toX, toY, cellPx) {
+    for (const o of this.simulation.world.obstacles) {
+      const sx = toX(o.x);
+      const sy = toY(o.y);
+      if (o.type === 'TWIG') {
+        const hx = Math.cos(o.angle) * o.length / 2;
+        const hy = Math.sin(o.angle) * o.length / 2;
+        ctx.strokeStyle = '#6b4a25';
+        ctx.lineWidth = Math.max(1, o.radius * 2 * cellPx);
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(toX(o.x - hx), toY(o.y - hy));
+        ctx.lineTo(toX(o.x + hx), toY(o.y + hy));
+        ctx.stroke();
+        ctx.lineCap = 'butt';
+        ctx.lineWidth = 1;
+      } else {
+        ctx.fillStyle = o.type === 'ROCK' ? '#77726a' : 'rgba(60, 120, 180, 0.85)';
+        ctx.beginPath();
+        ctx.arc(sx, sy, Math.max(1, o.radius * cellPx), 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+
   /**
    * Full-screen 2D strategy view — like a zoomed-in, pannable minimap.
    * Shows pheromone trails, ants, food, nests — all rendered as 2D.
@@ -676,16 +1190,21 @@ class UIManager {
     // Helper: grid to screen
     const gx2sx = (gx) => (gx - gridLeft) * cellPx;
     const gy2sy = (gy) => (gy - gridTop) * cellPx;
+    this.stratView = { gridLeft, gridTop, cellPx };
     
     // --- Background: earthy dark green ---
     ctx.fillStyle = '#0d1a0d';
     ctx.fillRect(0, 0, cw, ch);
     
     // --- Draw pheromone trails ---
-    const playerGrid = this.simulation.world.pheromones.getHeatmap(0);
-    const enemyGrid = this.simulation.world.pheromones.getHeatmap(1);
-    const playerAlarmGrid = this.simulation.world.pheromones.getHeatmap(2);
-    const enemyAlarmGrid = this.simulation.world.pheromones.getHeatmap(3);
+    const food = pheromoneBuffers(this.simulation, PHEROMONE.FOOD);
+    const alarm = pheromoneBuffers(this.simulation, PHEROMONE.ALARM);
+    const playerBuf = food.own;
+    const enemyBufs = food.others;
+    const playerHomeBuf = pheromoneBuffers(this.simulation, PHEROMONE.HOME).own;
+    const playerAlarmBuf = alarm.own;
+    const enemyAlarmBufs = alarm.others;
+    const H = CONFIG.WORLD_HEIGHT;
     
     const startGX = Math.max(0, Math.floor(gridLeft));
     const endGX = Math.min(CONFIG.WORLD_WIDTH - 1, Math.ceil(gridLeft + viewCells));
@@ -694,11 +1213,19 @@ class UIManager {
     
     for (let gx = startGX; gx <= endGX; gx++) {
       for (let gy = startGY; gy <= endGY; gy++) {
-        const pVal = playerGrid[gx] ? playerGrid[gx][gy] : 0;
-        const eVal = enemyGrid[gx] ? enemyGrid[gx][gy] : 0;
-        const paVal = playerAlarmGrid[gx] ? playerAlarmGrid[gx][gy] : 0;
-        const eaVal = enemyAlarmGrid[gx] ? enemyAlarmGrid[gx][gy] : 0;
+        const i = gx * H + gy;
+        const pVal = playerBuf[i];
+        const eVal = sumAt(enemyBufs, i);
+        const phVal = playerHomeBuf[i];
+        const paVal = playerAlarmBuf[i];
+        const eaVal = sumAt(enemyAlarmBufs, i);
         
+        // Player "home" trail: faint blue underlay beneath the food trail
+        if (phVal > 3) {
+          const alpha = Math.min(0.35, phVal / 240);
+          ctx.fillStyle = `rgba(60, 120, 255, ${alpha})`;
+          ctx.fillRect(gx2sx(gx), gy2sy(gy), cellPx + 1, cellPx + 1);
+        }
         if (pVal > 3) {
           const alpha = Math.min(0.75, pVal / 120);
           ctx.fillStyle = `rgba(0, 200, 80, ${alpha})`;
@@ -720,54 +1247,98 @@ class UIManager {
       }
     }
     
+    // --- Draw flood water ---
+    const world = this.simulation.world;
+    if (world.weather.floodLevel > 0) {
+      ctx.fillStyle = 'rgba(60, 110, 160, 0.45)';
+      for (let gx = startGX; gx <= endGX; gx++) {
+        for (let gy = startGY; gy <= endGY; gy++) {
+          if (world.isFlooded(gx, gy)) ctx.fillRect(gx2sx(gx), gy2sy(gy), cellPx + 1, cellPx + 1);
+        }
+      }
+    }
+
+    // --- Draw obstacles ---
+    this._drawObstacles(ctx, gx2sx, gy2sy, cellPx);
+    
     // --- Draw food patches ---
     for (const food of this.simulation.world.foodPatches) {
       if (food.amount > 0) {
         const sx = gx2sx(food.x);
         const sy = gy2sy(food.y);
+        const color = FOOD_COLORS[food.type] || FOOD_COLORS.SEED;
+        if (food.type === 'INSECT') {
+          // Carcass: dark oval, with carriers-needed progress while being dragged
+          const r = cellPx * 1.2;
+          ctx.fillStyle = color;
+          ctx.beginPath();
+          ctx.ellipse(sx, sy, r * 0.7, r, 0, 0, Math.PI * 2);
+          ctx.fill();
+          if (food.held > 0) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `${Math.max(10, cellPx * 1.2)}px monospace`;
+            ctx.fillText(`${food.held}/${this.simulation.world.carriersNeeded(food)}`, sx + r, sy - r);
+          }
+          continue;
+        }
         const size = Math.max(4, Math.ceil((food.amount / CONFIG.FOOD_PER_CLUSTER) * cellPx * 1.5));
-        ctx.fillStyle = '#ffcc00';
+        ctx.fillStyle = color;
         ctx.beginPath();
         ctx.arc(sx, sy, size / 2, 0, Math.PI * 2);
         ctx.fill();
         // Glow
-        ctx.fillStyle = 'rgba(255, 204, 0, 0.2)';
+        ctx.globalAlpha = 0.2;
         ctx.beginPath();
         ctx.arc(sx, sy, size, 0, Math.PI * 2);
         ctx.fill();
+        ctx.globalAlpha = 1;
       }
     }
+
+    // --- Draw corpses (×) and each colony's midden (dashed ring) ---
+    ctx.strokeStyle = FOOD_COLORS.CORPSE;
+    ctx.lineWidth = 1.5;
+    const corpseR = Math.max(2, cellPx * 0.4);
+    for (const corpse of this.simulation.world.corpses) {
+      const sx = gx2sx(corpse.x);
+      const sy = gy2sy(corpse.y);
+      ctx.beginPath();
+      ctx.moveTo(sx - corpseR, sy - corpseR);
+      ctx.lineTo(sx + corpseR, sy + corpseR);
+      ctx.moveTo(sx + corpseR, sy - corpseR);
+      ctx.lineTo(sx - corpseR, sy + corpseR);
+      ctx.stroke();
+    }
+    ctx.setLineDash([4, 4]);
+    for (const colony of this.simulation.colonies) {
+      ctx.beginPath();
+      ctx.arc(gx2sx(colony.midden.x), gy2sy(colony.midden.y), CONFIG.MIDDEN_RADIUS * cellPx, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
     
-    // --- Draw nests ---
-    // Player nest (green)
-    const pnsx = gx2sx(CONFIG.PLAYER_COLONY_NEST_X);
-    const pnsy = gy2sy(CONFIG.PLAYER_COLONY_NEST_Y);
-    const nestR = CONFIG.NEST_RADIUS * cellPx;
-    ctx.strokeStyle = '#00ff88';
+    // --- Draw nests (founded colonies get a smaller ring) ---
     ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.arc(pnsx, pnsy, nestR, 0, Math.PI * 2);
-    ctx.stroke();
-    ctx.fillStyle = 'rgba(0, 255, 100, 0.12)';
-    ctx.fill();
-    
-    // Enemy nest (red)
-    const ensx = gx2sx(CONFIG.ENEMY_COLONY_NEST_X);
-    const ensy = gy2sy(CONFIG.ENEMY_COLONY_NEST_Y);
-    ctx.strokeStyle = '#ff4444';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.arc(ensx, ensy, nestR, 0, Math.PI * 2);
-    ctx.stroke();
-    ctx.fillStyle = 'rgba(255, 50, 50, 0.12)';
-    ctx.fill();
+    for (const colony of this.simulation.colonies) {
+      const colors = factionStyle(colony.faction);
+      const nestR = CONFIG.NEST_RADIUS * cellPx * (colony.parentId === null ? 1 : 0.5);
+      ctx.strokeStyle = colors.nest;
+      ctx.beginPath();
+      ctx.arc(gx2sx(colony.nestX), gy2sy(colony.nestY), nestR, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.fillStyle = `rgba(${colors.fill}, 0.12)`;
+      ctx.fill();
+    }
     ctx.lineWidth = 1;
     
     // --- Draw ants ---
     const antRadius = Math.max(3, cellPx * 0.35);
+    const workerScale = getCaste('WORKER').mesh.scale; // Dots scale with caste mesh size
     
-    // Player ants (green)
-    for (const ant of this.simulation.playerColony.ants) {
+    // Every colony's ants, shaded and sized by caste in their faction's colour
+    const colonies = this.simulation.colonies;
+    const factionOf = new Map(colonies.map(colony => [colony.id, colony.faction]));
+    for (const ant of colonies.flatMap(colony => colony.ants)) {
       if (ant.isDead) continue;
       const sx = gx2sx(ant.x);
       const sy = gy2sy(ant.y);
@@ -792,11 +1363,11 @@ class UIManager {
         ctx.stroke();
         ctx.lineWidth = 1;
       } else {
-        // Regular player ant — green dot
-        ctx.fillStyle = ant.type === 'SOLDIER' ? '#44ff44' : '#22cc22';
-        if (ant.type === 'QUEEN') ctx.fillStyle = '#88ffaa';
+        // Regular ant — shade and size by caste
+        const caste = ant.caste;
+        ctx.fillStyle = casteColor(ant.type, factionOf.get(ant.colonyId));
         ctx.beginPath();
-        ctx.arc(sx, sy, ant.type === 'SOLDIER' ? antRadius * 1.3 : antRadius, 0, Math.PI * 2);
+        ctx.arc(sx, sy, antRadius * caste.mesh.scale / workerScale, 0, Math.PI * 2);
         ctx.fill();
         
         // Direction line
@@ -810,31 +1381,31 @@ class UIManager {
         ctx.stroke();
       }
     }
-    
-    // Enemy ants (red)
-    for (const ant of this.simulation.enemyColony.ants) {
-      if (ant.isDead) continue;
-      const sx = gx2sx(ant.x);
-      const sy = gy2sy(ant.y);
-      if (sx < -20 || sx > cw + 20 || sy < -20 || sy > ch + 20) continue;
-      
-      ctx.fillStyle = ant.type === 'SOLDIER' ? '#ff4444' : '#ff2222';
-      if (ant.type === 'QUEEN') ctx.fillStyle = '#ff8888';
-      ctx.beginPath();
-      ctx.arc(sx, sy, ant.type === 'SOLDIER' ? antRadius * 1.3 : antRadius, 0, Math.PI * 2);
-      ctx.fill();
-      
-      // Direction line
-      ctx.strokeStyle = ctx.fillStyle;
+
+    // --- Inspected ant: highlight ring ---
+    const inspected = this._getInspectedAnt();
+    if (inspected) {
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 2;
       ctx.beginPath();
-      ctx.moveTo(sx, sy);
-      ctx.lineTo(
-        sx + Math.cos(ant.angle) * antRadius * 2.5,
-        sy + Math.sin(ant.angle) * antRadius * 2.5
-      );
+      ctx.arc(gx2sx(inspected.x), gy2sy(inspected.y), antRadius * 3, 0, Math.PI * 2);
       ctx.stroke();
+      ctx.lineWidth = 1;
     }
     
+    // --- Time-of-day tint: blue wash at night, warm wash at dawn/dusk ---
+    const clock = this.simulation.clock;
+    const night = 1 - clock.daylight;
+    if (night > 0.01) {
+      ctx.fillStyle = `rgba(10, 20, 60, ${(night * 0.45).toFixed(3)})`;
+      ctx.fillRect(0, 0, cw, ch);
+    }
+    const twilight = Math.max(0, 1 - Math.abs(clock.sunElevation) / 0.25) * clock.daylight;
+    if (twilight > 0.01) {
+      ctx.fillStyle = `rgba(255, 140, 60, ${(twilight * 0.15).toFixed(3)})`;
+      ctx.fillRect(0, 0, cw, ch);
+    }
+
     // --- Grid border (show world boundaries) ---
     ctx.strokeStyle = 'rgba(0, 255, 0, 0.3)';
     ctx.lineWidth = 2;
@@ -842,10 +1413,46 @@ class UIManager {
   }
 }
 
+/**
+ * Match start: one button per CONFIG.AI_DIFFICULTY preset on the loading
+ * screen; resolves with the key of the one clicked.
+ */
+function chooseDifficulty() {
+  updateStatus('Choose your opponent:');
+  const loading = document.getElementById('loading');
+  const buttons = document.createElement('div');
+  buttons.id = 'difficulty';
+  loading.appendChild(buttons);
+  return new Promise(resolve => {
+    for (const [key, preset] of Object.entries(CONFIG.AI_DIFFICULTY)) {
+      const button = document.createElement('button');
+      button.textContent = preset.name;
+      button.addEventListener('click', () => {
+        buttons.remove();
+        resolve(key);
+      });
+      buttons.appendChild(button);
+    }
+  });
+}
+
 // Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+// ?replay=<slot> plays back a recording saved with F7 instead of a live match;
+// ?ai=AGGRESSIVE skips the difficulty choice
+document.addEventListener('DOMContentLoaded', async () => {
   try {
-    window.game = new AntenbOro();
+    const params = new URLSearchParams(window.location.search);
+    const replaySlot = params.get('replay');
+    let replay;
+    let difficulty;
+    if (replaySlot !== null) {
+      updateStatus('Loading replay...');
+      replay = await new SaveStore().read(replaySlot || 'replay');
+      if (!replay) throw new Error(`No replay in slot '${replaySlot || 'replay'}'`);
+    } else {
+      difficulty = params.get('ai')?.toUpperCase() ?? await chooseDifficulty();
+    }
+    window.game = new AntenbOro({ replay, difficulty });
     // Hide loading screen
     setTimeout(() => {
       const loading = document.getElementById('loading');
@@ -1,11 +1,14 @@
 import * as THREE from 'three';
 import CONFIG from '../sim/config.js';
-import { Ant } from '../sim/ant.js';
 
 /**
  * Player input handling and hero ant behavior.
  * FPS controls: mouse look via Pointer Lock, WASD relative to camera yaw.
  * Hold Ctrl to release pointer for UI interaction.
+ *
+ * Input that changes sim state is sent as commands through
+ * SimulationEngine.applyCommand() (recorded for replays); this class only
+ * owns camera/view state.
  */
 export class PlayerController {
   constructor(colony, simulation, sceneManager) {
@@ -13,17 +16,11 @@ export class PlayerController {
     this.simulation = simulation;
     this.sceneManager = sceneManager;
     
-    // Create player ant (starts as worker)
-    this.ant = new Ant(
-      99999,
-      'WORKER',
-      0,
-      CONFIG.PLAYER_COLONY_NEST_X,
-      CONFIG.PLAYER_COLONY_NEST_Y
-    );
-    this.ant.isPlayerControlled = true;
-    colony.ants.push(this.ant);
-    simulation.setPlayerAnt(this.ant);
+    // Player ant (starts as worker) — reuse one restored from a save/replay
+    this.ant = simulation.playerAnt || simulation.createPlayerAnt();
+    
+    // When false (replay playback), input only drives the camera
+    this.inputEnabled = true;
     
     // Input state
     this.keys = {};
@@ -43,10 +40,6 @@ export class PlayerController {
     this.pointerLocked = false;
     this.ctrlHeld = false;  // When Ctrl is held, pointer is released for UI
     
-    // Ability cooldowns
-    this.biteCooldown = 0;
-    this.rallyCooldown = 0;
-    
     // Camera mode
     this.isFPSMode = true; // true = FPS, false = overhead
     this.isUnderground = false; // true = underground FPS mode
@@ -93,7 +86,7 @@ export class PlayerController {
     document.addEventListener('mousedown', (e) => {
       if (e.button === 0) {
         this.mouseDown = true;
-        if (this.pointerLocked && this.isFPSMode) {
+        if (this.pointerLocked && this.isFPSMode && this.inputEnabled) {
           this._bite();
         }
       }
@@ -118,7 +111,14 @@ export class PlayerController {
         }
       }
       
-      // Special keys
+      // Special keys (replay playback only allows view toggles)
+      if (!this.inputEnabled) {
+        if (key === 'tab') {
+          e.preventDefault();
+          this.toggleCameraMode();
+        }
+        return;
+      }
       switch (key) {
         case 'tab':
           e.preventDefault();
@@ -134,13 +134,14 @@ export class PlayerController {
           this._openBuildMenu();
           break;
         case 'p':
-          this.simulation.togglePause();
+          this.simulation.applyCommand({ type: 'pause' });
           break;
         case 'arrowup':
         case 'arrowright':
           if (!this.isFPSMode) {
             e.preventDefault();
-            this.simulation.nextSpeed();
+            const next = (this.simulation.speedLevel + 1) % CONFIG.SPEED_LEVELS.length;
+            this.simulation.applyCommand({ type: 'speed', level: next });
           }
           break;
         case 'escape':
@@ -182,45 +183,13 @@ export class PlayerController {
   }
 
   _rallyPheromone() {
-    if (this.rallyCooldown > 0) return;
-    
-    this.simulation.world.depositPheromone(
-      this.ant.x,
-      this.ant.y,
-      0,
-      CONFIG.PLAYER_PHEROMONE_RALLY_STRENGTH
-    );
-    
-    this.rallyCooldown = CONFIG.PLAYER_RALLY_COOLDOWN;
-    console.log('Rally pheromone deployed!');
+    if (this.simulation.applyCommand({ type: 'rally' })) {
+      console.log('Rally pheromone deployed!');
+    }
   }
 
   _bite() {
-    if (this.biteCooldown > 0) return;
-    
-    // Find nearest enemy in the direction the player is facing
-    let target = null;
-    let minDist = CONFIG.BITE_RANGE;
-    
-    for (const enemy of this.simulation.enemyColony.ants) {
-      if (enemy.isDead) continue;
-      const dist = Math.hypot(this.ant.x - enemy.x, this.ant.y - enemy.y);
-      if (dist < minDist) {
-        minDist = dist;
-        target = enemy;
-      }
-    }
-    
-    if (target) {
-      target.health -= CONFIG.PLAYER_BITE_DAMAGE;
-      target.hitFlash = 10;
-      this.biteCooldown = CONFIG.BITE_COOLDOWN;
-      // Deposit alarm pheromone to summon allies
-      this.simulation.world.depositPheromone(
-        this.ant.x, this.ant.y, 2, // channel 2 = player alarm
-        CONFIG.ALARM_PHEROMONE_STRENGTH
-      );
-    }
+    this.simulation.applyCommand({ type: 'bite' });
   }
 
   _openBuildMenu() {
@@ -257,6 +226,7 @@ export class PlayerController {
   }
 
   _enterUnderground() {
+    this.simulation.applyCommand({ type: 'underground', inside: true });
     this.isUnderground = true;
     this.isFPSMode = true;
     const entrance = this.colony.underground.getEntrance();
@@ -271,11 +241,10 @@ export class PlayerController {
   }
 
   _exitUnderground() {
+    // Sim places the ant back at the nest on the surface
+    this.simulation.applyCommand({ type: 'underground', inside: false });
     this.isUnderground = false;
     this.isFPSMode = true;
-    // Place ant back at nest on surface
-    this.ant.x = this.colony.nestX;
-    this.ant.y = this.colony.nestY;
     this.yaw = 0;
     this.pitch = 0;
     const canvas = this.sceneManager.canvas;
@@ -287,10 +256,12 @@ export class PlayerController {
    * Update player ant behavior based on input.
    */
   update() {
-    // Decrement cooldowns
-    if (this.biteCooldown > 0) this.biteCooldown--;
-    if (this.rallyCooldown > 0) this.rallyCooldown--;
-    
+    if (!this.inputEnabled) {
+      // Replay playback: FPS camera looks where the recorded hero faces
+      this.yaw = Math.atan2(-Math.cos(this.ant.angle), -Math.sin(this.ant.angle));
+      return;
+    }
+
     if (this.isUnderground) {
       this._updateUndergroundMovement();
     } else if (this.isFPSMode) {
@@ -315,7 +286,8 @@ export class PlayerController {
     if (this.keys['d']) this.yaw -= this.turnRate;
 
     let dx = 0, dz = 0;
-    const speed = CONFIG.ANT_SPEED * CONFIG.CELL_SIZE * 1.2; // 3D units, slightly faster underground
+    // 3D units, slightly faster underground — more so the more tunnels are dug
+    const speed = CONFIG.ANT_SPEED * CONFIG.CELL_SIZE * 1.2 * this.colony.getTunnelSpeed();
 
     if (this.keys['w']) { dx += fwdX * speed; dz += fwdZ * speed; }
     if (this.keys['s']) { dx -= fwdX * speed * 0.6; dz -= fwdZ * speed * 0.6; }
@@ -383,30 +355,9 @@ export class PlayerController {
       gridDY += rightGridY * CONFIG.ANT_SPEED * this.strafeFraction;
     }
     
-    // Apply movement
-    if (gridDX !== 0 || gridDY !== 0) {
-      this.ant.x += gridDX;
-      this.ant.y += gridDY;
-      
-      // Clamp to world bounds
-      this.ant.x = Math.max(0, Math.min(CONFIG.WORLD_WIDTH - 1, this.ant.x));
-      this.ant.y = Math.max(0, Math.min(CONFIG.WORLD_HEIGHT - 1, this.ant.y));
-      
-      // Deposit pheromone trail when carrying food
-      if (this.ant.carryingFood) {
-        this.simulation.world.depositPheromone(
-          this.ant.x, this.ant.y, 0,
-          CONFIG.PHEROMONE_STRENGTH_HOME * 0.7
-        );
-      }
-    }
-    
-    // Always sync ant facing to camera yaw (body faces where we look)
-    this.ant.angle = Math.atan2(fwdGridY, fwdGridX);
-
-    // Auto-behaviors work in FPS mode too
-    this._autoPickupFood();
-    this._autoDepositFood();
+    // Body always faces where we look; sim handles clamping, food
+    // pickup/deposit and the carry trail (see sim/commands.js)
+    this._sendMove(gridDX, gridDY, Math.atan2(fwdGridY, fwdGridX));
   }
 
   /**
@@ -433,69 +384,49 @@ export class PlayerController {
       dy = (dy / mag) * speed;
     }
 
+    // Face movement direction; auto-behaviours (pickup on contact,
+    // deposit at nest, carry trail) run in the sim each tick
     if (dx !== 0 || dy !== 0) {
-      this.ant.x += dx;
-      this.ant.y += dy;
-
-      // Face movement direction
-      this.ant.angle = Math.atan2(dy, dx);
-
-      // Clamp to world bounds
-      this.ant.x = Math.max(1, Math.min(CONFIG.WORLD_WIDTH - 2, this.ant.x));
-      this.ant.y = Math.max(1, Math.min(CONFIG.WORLD_HEIGHT - 2, this.ant.y));
+      this._sendMove(dx, dy, Math.atan2(dy, dx));
     }
-
-    // --- Auto-behaviors (like Ant Simulator) ---
-    this._autoPickupFood();
-    this._autoDepositFood();
-    this._autoCarryPheromone();
   }
 
   /**
-   * Auto-pick up food when the hero ant walks over it.
+   * Send a hero move command, skipping no-ops so recordings stay small.
    */
-  _autoPickupFood() {
-    if (this.ant.carryingFood > 0) return; // already carrying
-
-    const nearby = this.simulation.world.foodPatches.find(
-      food => food.amount > 0 && Math.hypot(this.ant.x - food.x, this.ant.y - food.y) < 1.5
-    );
-
-    if (nearby) {
-      const taken = Math.min(CONFIG.FOOD_CARRY_CAPACITY, nearby.amount);
-      nearby.amount -= taken;
-      this.ant.carryingFood = taken;
-      this.ant.state = 'CARRYING';
-      console.log('Auto-picked up food!');
-    }
+  _sendMove(dx, dy, angle) {
+    if (dx === 0 && dy === 0 && angle === this.ant.angle) return;
+    this.simulation.applyCommand({ type: 'move', dx, dy, angle });
   }
 
+  // ─── SAVE / LOAD ─────────────────────────────────────────────────
+
   /**
-   * Auto-deposit food when hero ant reaches the nest.
+   * Snapshot camera mode and underground position.
    */
-  _autoDepositFood() {
-    if (this.ant.carryingFood <= 0) return;
-
-    const distToNest = Math.hypot(this.ant.x - this.colony.nestX, this.ant.y - this.colony.nestY);
-    if (distToNest < CONFIG.NEST_RADIUS) {
-      this.colony.foodAmount += this.ant.carryingFood;
-      this.ant.foodDeposited++;
-      this.ant.carryingFood = 0;
-      this.ant.state = 'WANDERING';
-      console.log('Auto-deposited food at nest!');
-    }
+  serialize() {
+    return {
+      isFPSMode: this.isFPSMode,
+      isUnderground: this.isUnderground,
+      ugX: this.ugX, ugY: this.ugY, ugZ: this.ugZ,
+      yaw: this.yaw,
+      pitch: this.pitch,
+    };
   }
 
   /**
-   * Deposit pheromone trail while carrying food (guides allies to food source).
+   * Restore a serialize() snapshot after SimulationEngine.loadState().
+   * Re-links colony and hero ant, which the engine rebuilt.
    */
-  _autoCarryPheromone() {
-    if (this.ant.carryingFood > 0) {
-      this.simulation.world.depositPheromone(
-        this.ant.x, this.ant.y, 0,
-        CONFIG.PHEROMONE_STRENGTH_HOME * 0.7
-      );
+  restore(state) {
+    this.colony = this.simulation.playerColony;
+    if (this.simulation.playerAnt) {
+      this.ant = this.simulation.playerAnt;
+      this.ant.isPlayerControlled = true;
     }
+    if (!state) return;
+    Object.assign(this, state);
+    if (!this.isFPSMode && this.pointerLocked) document.exitPointerLock();
   }
 
   /**
@@ -3,6 +3,8 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import CONFIG from '../sim/config.js';
+import { getCaste } from '../sim/castes.js';
+import { factionStyle } from '../sim/relations.js';
 
 /**
  * Three.js scene setup with PBR materials and post-processing.
@@ -43,13 +45,22 @@ export class SceneManager {
     
     // Terrain & world meshes
     this.terrain = null;
+    this.heightmap = null;   // Sim Heightmap (world.heightmap) — see setHeightmap()
     this.worldObjects = [];
     
     // Food meshes (index → mesh)
     this.foodMeshes = [];
+
+    // Obstacle props (rocks, twigs, puddles)
+    this.obstacleMeshes = [];
     
     // Nest meshes
     this.nestMeshes = [];
+    // Founding-nest markers for colonies started by nuptial flights (colony id → mesh)
+    this.foundedNestMeshes = new Map();
+    // Dead ants lying on the surface (World.corpses id → mesh) and their materials per faction
+    this.corpseMeshes = new Map();
+    this.corpseMaterials = new Map();
     // Nest world positions for mound height calculation
     this.nestPositions = [];  // [{x, z, radius, height}]
     
@@ -101,6 +112,7 @@ export class SceneManager {
     // Ambient light - brighten it to ensure visibility
     const ambient = new THREE.AmbientLight(0xffffff, 0.8);
     this.scene.add(ambient);
+    this.ambientLight = ambient;
     
     // Directional light (sun) - positioned clearly above
     const sun = new THREE.DirectionalLight(0xffffff, 1.0);
@@ -116,14 +128,61 @@ export class SceneManager {
     sun.shadow.camera.far = 600;
     this.scene.add(sun);
     this.scene.add(sun.target);
+    this.sunLight = sun;
     
     // Hemisphere light for ambient color
     const hemiLight = new THREE.HemisphereLight(0x87ceeb, 0x4a7c59, 0.5);
     this.scene.add(hemiLight);
+    this.hemiLight = hemiLight;
+
+    // Day/night palette (see updateDayNight)
+    this._dayFog = new THREE.Color(CONFIG.FOG_COLOR);
+    this._nightFog = new THREE.Color(CONFIG.FOG_NIGHT_COLOR);
+    this._noonSun = new THREE.Color(0xffffff);
+    this._lowSun = new THREE.Color(0xffa060);   // Warm light near the horizon
+    this._moonLight = new THREE.Color(0x8090c0);
+    this._stormFog = new THREE.Color(0x5a6470); // Grey sky under full cloud
     
     console.log('✓ Lights set up: ambient + directional + hemisphere');
   }
 
+  /**
+   * Follow the sim clock: the sun arcs east → west over the day (the moon
+   * takes over at night), light warms near the horizon, and sky, fog and
+   * ambient light darken with the daylight level. Cloud cover greys the sky
+   * and dims everything further.
+   * @param {SimClock} clock
+   * @param {Weather} [weather]
+   */
+  updateDayNight(clock, weather) {
+    if (!this.sunLight) return;
+    const { timeOfDay, sunElevation } = clock;
+    const cloud = weather ? weather.cloud : 0;
+    const daylight = clock.daylight * (1 - 0.55 * cloud);
+    const R = 150;
+
+    // Sun rises at 0.25 in the east (+X), sets at 0.75 in the west;
+    // below the horizon the light flips to the opposite side as moonlight
+    const arc = (timeOfDay - 0.25) * Math.PI * 2;
+    const above = sunElevation > 0;
+    const sx = Math.cos(arc) * R * (above ? 1 : -1);
+    const sy = Math.max(0.15, Math.abs(Math.sin(arc))) * R;
+    this.sunLight.position.set(sx, sy, 80);
+
+    if (above) {
+      this.sunLight.color.copy(this._lowSun).lerp(this._noonSun, Math.min(1, sunElevation * 2.5));
+    } else {
+      this.sunLight.color.copy(this._moonLight);
+    }
+    this.sunLight.intensity = 0.15 + 0.85 * daylight;
+    this.ambientLight.intensity = 0.15 + 0.65 * daylight;
+    this.hemiLight.intensity = 0.1 + 0.4 * daylight;
+
+    this.scene.fog.color.copy(this._dayFog).lerp(this._stormFog, cloud)
+      .lerp(this._nightFog, 1 - clock.daylight);
+    this.scene.background.copy(this.scene.fog.color);
+  }
+
   _onWindowResize() {
     const w = window.innerWidth;
     const h = window.innerHeight;
@@ -136,9 +195,25 @@ export class SceneManager {
   }
 
   /**
-   * Create a simple terrain mesh (flat plane with height variation).
+   * Use the simulation's heightmap for the terrain mesh and every height
+   * lookup, so what ants climb in the sim is what you see.
+   */
+  setHeightmap(heightmap) {
+    this.heightmap = heightmap;
+  }
+
+  /**
+   * Create the terrain mesh (plane displaced by the sim heightmap).
+   * Replaces any existing terrain mesh.
    */
   createTerrain() {
+    if (this.terrain) {
+      this.scene.remove(this.terrain);
+      this.terrain.geometry.dispose();
+      this.terrain.material.dispose();
+      this.terrain = null;
+    }
+
     const size = CONFIG.WORLD_SIZE_3D;
     const segments = 128;
     const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
@@ -149,11 +224,7 @@ export class SceneManager {
     for (let i = 0; i < positions.length; i += 3) {
       const x = positions[i];       // local X → world X
       const y = positions[i + 1];   // local Y → world -Z
-      // Gentle rolling terrain
-      const height = Math.sin(x * 0.08) * 0.5
-                   + Math.cos(y * 0.08) * 0.5
-                   + Math.sin(x * 0.03 + y * 0.04) * 0.3;
-      positions[i + 2] = height;
+      positions[i + 2] = this.getBaseTerrainHeight(x, -y);
     }
     positionAttribute.needsUpdate = true;
     geometry.computeVertexNormals();
@@ -181,10 +252,11 @@ export class SceneManager {
    * Base terrain height (rolling hills only, no mound bumps).
    */
   getBaseTerrainHeight(worldX, worldZ) {
-    const localY = -worldZ;
-    return Math.sin(worldX * 0.08) * 0.5
-         + Math.cos(localY * 0.08) * 0.5
-         + Math.sin(worldX * 0.03 + localY * 0.04) * 0.3;
+    if (!this.heightmap) return 0;
+    return this.heightmap.heightAt(
+      worldX / CONFIG.CELL_SIZE + CONFIG.WORLD_WIDTH / 2,
+      worldZ / CONFIG.CELL_SIZE + CONFIG.WORLD_HEIGHT / 2
+    );
   }
 
   /**
@@ -282,33 +354,30 @@ export class SceneManager {
     this.foodMeshes = [];
     
     const geometry = new THREE.SphereGeometry(0.3, 8, 6);
-    const material = new THREE.MeshStandardMaterial({
-      color: 0xffcc00,
+    const seedMaterial = new THREE.MeshStandardMaterial({
+      color: 0xd9a441,
       roughness: 0.6,
       metalness: 0.0,
       emissive: 0x664400,
       emissiveIntensity: 0.3,
     });
+    const sugarMaterial = new THREE.MeshStandardMaterial({
+      color: 0xf4f8ff,
+      roughness: 0.05,
+      metalness: 0.1,
+      transparent: true,
+      opacity: 0.8,
+      emissive: 0x8899aa,
+      emissiveIntensity: 0.25,
+    });
     
     for (let i = 0; i < foodPatches.length; i++) {
       const food = foodPatches[i];
-      const group = new THREE.Group();
-      
-      // Create a cluster of small spheres to represent food pile
-      const count = Math.min(Math.ceil(food.amount / 5), 8);
-      for (let j = 0; j < count; j++) {
-        const sphere = new THREE.Mesh(geometry, material);
-        const angle = (j / count) * Math.PI * 2;
-        const dist = 0.3 + Math.random() * 0.3;
-        sphere.position.set(
-          Math.cos(angle) * dist,
-          0.15 + Math.random() * 0.2,
-          Math.sin(angle) * dist
-        );
-        sphere.scale.setScalar(0.5 + Math.random() * 0.5);
-        sphere.castShadow = true;
-        group.add(sphere);
-      }
+      const group = food.type === 'INSECT'
+        ? this._createInsectCarcass()
+        : this._createFoodPile(food, geometry, food.type === 'SUGAR' ? sugarMaterial : seedMaterial);
+      group.userData.gridX = food.x;
+      group.userData.gridY = food.y;
       
       const worldX = (food.x - CONFIG.WORLD_WIDTH / 2) * CONFIG.CELL_SIZE;
       const worldZ = (food.y - CONFIG.WORLD_HEIGHT / 2) * CONFIG.CELL_SIZE;
@@ -325,16 +394,140 @@ export class SceneManager {
   }
 
   /**
-   * Snap food and nest meshes to terrain height (call after terrain is created).
+   * Seed pile (elongated grains) or sugar drops (glossy beads).
+   */
+  _createFoodPile(food, geometry, material) {
+    const group = new THREE.Group();
+    const isSugar = food.type === 'SUGAR';
+    const count = Math.min(Math.ceil(food.amount / 5), 8);
+    for (let j = 0; j < count; j++) {
+      const piece = new THREE.Mesh(geometry, material);
+      const angle = (j / count) * Math.PI * 2;
+      const dist = 0.3 + Math.random() * 0.3;
+      piece.position.set(
+        Math.cos(angle) * dist,
+        0.15 + Math.random() * 0.2,
+        Math.sin(angle) * dist
+      );
+      const s = 0.5 + Math.random() * 0.5;
+      if (isSugar) {
+        piece.scale.set(s, s * 0.7, s);            // Flattened droplet
+      } else {
+        piece.scale.set(s * 0.6, s * 0.5, s * 1.1); // Grain
+        piece.rotation.y = Math.random() * Math.PI;
+      }
+      piece.castShadow = true;
+      group.add(piece);
+    }
+    return group;
+  }
+
+  /**
+   * Dead beetle on its back: shell, head and six curled legs.
+   */
+  _createInsectCarcass() {
+    const group = new THREE.Group();
+    const shellMat = new THREE.MeshStandardMaterial({ color: 0x2b3a22, roughness: 0.35, metalness: 0.3 });
+    const legMat = new THREE.MeshStandardMaterial({ color: 0x1a1a14, roughness: 0.8 });
+
+    const shell = new THREE.Mesh(new THREE.SphereGeometry(0.6, 12, 8), shellMat);
+    shell.scale.set(1, 0.45, 1.5);
+    shell.position.y = 0.3;
+    shell.castShadow = true;
+    group.add(shell);
+
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.28, 8, 6), shellMat);
+    head.position.set(0, 0.28, 0.95);
+    head.castShadow = true;
+    group.add(head);
+
+    const legGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.7, 4);
+    for (let k = 0; k < 6; k++) {
+      const side = k < 3 ? -1 : 1;
+      const leg = new THREE.Mesh(legGeo, legMat);
+      leg.position.set(side * 0.35, 0.55, -0.4 + (k % 3) * 0.4);
+      leg.rotation.z = side * 0.5;
+      leg.rotation.x = 0.3 - (k % 3) * 0.3;
+      group.add(leg);
+    }
+    group.rotation.y = Math.random() * Math.PI * 2;
+    return group;
+  }
+
+  /**
+   * Create 3D props matching the simulation's obstacle shapes:
+   * grey boulders, brown twigs lying on the ground, flat water puddles.
+   */
+  createObstacleMeshes(obstacles) {
+    for (const m of this.obstacleMeshes) {
+      this.scene.remove(m);
+    }
+    this.obstacleMeshes = [];
+
+    const cs = CONFIG.CELL_SIZE;
+    const rockGeo = new THREE.DodecahedronGeometry(1, 1);
+    const rockMat = new THREE.MeshStandardMaterial({ color: 0x7a756d, roughness: 0.95, flatShading: true });
+    const twigGeo = new THREE.CylinderGeometry(1, 1, 1, 6);
+    twigGeo.rotateZ(Math.PI / 2); // lie along local X
+    const twigMat = new THREE.MeshStandardMaterial({ color: 0x5c3d1e, roughness: 0.9 });
+    const puddleGeo = new THREE.CircleGeometry(1, 32);
+    puddleGeo.rotateX(-Math.PI / 2);
+    const puddleMat = new THREE.MeshStandardMaterial({
+      color: 0x3a6f9a, roughness: 0.1, metalness: 0.3,
+      transparent: true, opacity: 0.8,
+    });
+
+    for (const o of obstacles) {
+      let mesh;
+      if (o.type === 'ROCK') {
+        mesh = new THREE.Mesh(rockGeo, rockMat);
+        // Squashed, slightly irregular boulder half-buried in the ground
+        mesh.scale.set(o.radius * cs, o.radius * cs * (0.5 + Math.random() * 0.3), o.radius * cs);
+        mesh.rotation.y = Math.random() * Math.PI * 2;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+      } else if (o.type === 'TWIG') {
+        mesh = new THREE.Mesh(twigGeo, twigMat);
+        mesh.scale.set(o.length * cs, o.radius * cs * 0.6, o.radius * cs * 0.6);
+        // Grid angle (x → world X, y → world Z) to a Y rotation
+        mesh.rotation.y = -o.angle;
+        mesh.castShadow = true;
+        mesh.userData.lift = o.radius * cs * 0.4;
+      } else {
+        mesh = new THREE.Mesh(puddleGeo, puddleMat);
+        mesh.scale.setScalar(o.radius * cs);
+        mesh.receiveShadow = true;
+        mesh.userData.lift = 0.05;
+      }
+      mesh.position.set(
+        (o.x - CONFIG.WORLD_WIDTH / 2) * cs,
+        0,
+        (o.y - CONFIG.WORLD_HEIGHT / 2) * cs
+      );
+      mesh.userData.worldX = mesh.position.x;
+      mesh.userData.worldZ = mesh.position.z;
+      this.scene.add(mesh);
+      this.obstacleMeshes.push(mesh);
+    }
+
+    console.log('✓ Obstacle props created: ' + obstacles.length);
+  }
+
+  /**
+   * Snap food, obstacle and nest meshes to terrain height (call after terrain is created).
    */
   snapWorldObjectsToTerrain() {
     for (const mesh of this.foodMeshes) {
       const h = this.getTerrainHeight(mesh.userData.worldX, mesh.userData.worldZ);
       mesh.position.y = h;
     }
+    for (const mesh of this.obstacleMeshes) {
+      const h = this.getTerrainHeight(mesh.userData.worldX, mesh.userData.worldZ);
+      mesh.position.y = h + (mesh.userData.lift || 0);
+    }
     // Nest decorations sit at the base terrain level — the terrain
     // mesh itself forms the mound shape via applyNestMoundsToTerrain.
-    for (const mesh of this.nestMeshes) {
+    for (const mesh of [...this.nestMeshes, ...this.foundedNestMeshes.values()]) {
       const h = this.getBaseTerrainHeight(mesh.position.x, mesh.position.z);
       mesh.position.y = h;
     }
@@ -350,40 +543,171 @@ export class SceneManager {
       
       if (food.amount <= 0) {
         mesh.visible = false;
-      } else {
-        mesh.visible = true;
-        // Scale based on remaining food
-        const scale = Math.max(0.2, food.amount / CONFIG.FOOD_PER_CLUSTER);
-        mesh.scale.setScalar(scale);
+        continue;
+      }
+      mesh.visible = true;
+      // Piles shrink as they are carried off; carcasses stay whole
+      if (food.type !== 'INSECT') {
+        const full = CONFIG.FOOD_PER_CLUSTER * CONFIG.FOOD_TYPES[food.type].patchScale;
+        mesh.scale.setScalar(Math.max(0.2, Math.min(1.2, food.amount / full)));
+      }
+      // Dragged (or respawned elsewhere) — follow the sim position over the terrain
+      if (food.x !== mesh.userData.gridX || food.y !== mesh.userData.gridY) {
+        mesh.userData.gridX = food.x;
+        mesh.userData.gridY = food.y;
+        mesh.userData.worldX = (food.x - CONFIG.WORLD_WIDTH / 2) * CONFIG.CELL_SIZE;
+        mesh.userData.worldZ = (food.y - CONFIG.WORLD_HEIGHT / 2) * CONFIG.CELL_SIZE;
+        mesh.position.set(
+          mesh.userData.worldX,
+          this.getTerrainHeight(mesh.userData.worldX, mesh.userData.worldZ),
+          mesh.userData.worldZ
+        );
       }
     }
   }
 
   /**
-   * Create 3D nest markers for both colonies.
+   * Create 3D nest mounds for the map's starting colonies (ring in the
+   * colony's faction colour). Founded colonies are syncFoundedNests()'s job.
+   * @param {Array} colonies - simulation colonies
    */
-  createNestMeshes() {
-    // Player nest (green mound)
-    const playerNest = this._createNestMesh(0x00cc44, 0x004411);
-    const pnx = (CONFIG.PLAYER_COLONY_NEST_X - CONFIG.WORLD_WIDTH / 2) * CONFIG.CELL_SIZE;
-    const pnz = (CONFIG.PLAYER_COLONY_NEST_Y - CONFIG.WORLD_HEIGHT / 2) * CONFIG.CELL_SIZE;
-    playerNest.position.set(pnx, 0, pnz);
-    this.scene.add(playerNest);
-    this.nestMeshes.push(playerNest);
-    this.nestPositions.push({ x: pnx, z: pnz, radius: 4.5, height: 2.2 });
-    
-    // Enemy nest (red mound)
-    const enemyNest = this._createNestMesh(0xcc3333, 0x441111);
-    const enx = (CONFIG.ENEMY_COLONY_NEST_X - CONFIG.WORLD_WIDTH / 2) * CONFIG.CELL_SIZE;
-    const enz = (CONFIG.ENEMY_COLONY_NEST_Y - CONFIG.WORLD_HEIGHT / 2) * CONFIG.CELL_SIZE;
-    enemyNest.position.set(enx, 0, enz);
-    this.scene.add(enemyNest);
-    this.nestMeshes.push(enemyNest);
-    this.nestPositions.push({ x: enx, z: enz, radius: 4.5, height: 2.2 });
+  createNestMeshes(colonies) {
+    for (const mesh of this.nestMeshes) this.scene.remove(mesh);
+    this.nestMeshes = [];
+    this.nestPositions = [];
+
+    for (const colony of colonies) {
+      if (colony.parentId !== null) continue;
+      const { ring, ringEmissive } = factionStyle(colony.faction);
+      const nest = this._createNestMesh(ring, ringEmissive);
+      const x = (colony.nestX - CONFIG.WORLD_WIDTH / 2) * CONFIG.CELL_SIZE;
+      const z = (colony.nestY - CONFIG.WORLD_HEIGHT / 2) * CONFIG.CELL_SIZE;
+      nest.position.set(x, 0, z);
+      this.scene.add(nest);
+      this.nestMeshes.push(nest);
+      this.nestPositions.push({ x, z, radius: 4.5, height: 2.2 });
+    }
     
-    console.log('✓ Nest meshes created');
+    console.log('✓ Nest meshes created: ' + this.nestMeshes.length);
   }
   
+  /**
+   * Keep a small nest marker (entrance hole + colony ring, no mound) for
+   * every colony founded by a nuptial flight, and drop markers of colonies
+   * that have died out. Call each frame and after a save load.
+   * @param {Array} colonies - simulation colonies
+   */
+  syncFoundedNests(colonies) {
+    const live = new Set();
+    for (const colony of colonies) {
+      if (colony.parentId === null) continue;
+      live.add(colony.id);
+      if (this.foundedNestMeshes.has(colony.id)) continue;
+      const { ring, ringEmissive } = factionStyle(colony.faction);
+      const mesh = this._createFoundingNestMesh(ring, ringEmissive);
+      const x = (colony.nestX - CONFIG.WORLD_WIDTH / 2) * CONFIG.CELL_SIZE;
+      const z = (colony.nestY - CONFIG.WORLD_HEIGHT / 2) * CONFIG.CELL_SIZE;
+      mesh.position.set(x, this.getBaseTerrainHeight(x, z), z);
+      this.scene.add(mesh);
+      this.foundedNestMeshes.set(colony.id, mesh);
+    }
+    for (const [id, mesh] of this.foundedNestMeshes) {
+      if (live.has(id)) continue;
+      this.scene.remove(mesh);
+      this.foundedNestMeshes.delete(id);
+    }
+  }
+
+  /**
+   * Keep a mesh for every corpse lying on the surface: add new ones, move
+   * ones dropped somewhere else (the midden), shrink them as they rot and
+   * drop those picked up or rotted away. Call each frame; syncCorpses([])
+   * clears them all.
+   * @param {Array} corpses - World.corpses
+   */
+  syncCorpses(corpses) {
+    const live = new Set();
+    for (const corpse of corpses) {
+      live.add(corpse.id);
+      let mesh = this.corpseMeshes.get(corpse.id);
+      if (!mesh) {
+        mesh = this._createCorpseMesh(corpse);
+        this.scene.add(mesh);
+        this.corpseMeshes.set(corpse.id, mesh);
+      }
+      if (corpse.x !== mesh.userData.gridX || corpse.y !== mesh.userData.gridY) {
+        mesh.userData.gridX = corpse.x;
+        mesh.userData.gridY = corpse.y;
+        const x = (corpse.x - CONFIG.WORLD_WIDTH / 2) * CONFIG.CELL_SIZE;
+        const z = (corpse.y - CONFIG.WORLD_HEIGHT / 2) * CONFIG.CELL_SIZE;
+        mesh.position.set(x, this.getTerrainHeight(x, z), z);
+      }
+      const rot = 1 - 0.5 * corpse.age / CONFIG.CORPSE_DECAY_TICKS;
+      mesh.scale.setScalar(mesh.userData.scale * rot);
+    }
+    for (const [id, mesh] of this.corpseMeshes) {
+      if (live.has(id)) continue;
+      this.scene.remove(mesh);
+      this.corpseMeshes.delete(id);
+    }
+  }
+
+  /**
+   * A dead ant on its back, legs curled up, in a dulled shade of its faction.
+   */
+  _createCorpseMesh(corpse) {
+    let material = this.corpseMaterials.get(corpse.faction);
+    if (!material) {
+      const color = new THREE.Color(factionStyle(corpse.faction).body).lerp(new THREE.Color(0x4a4034), 0.35);
+      material = new THREE.MeshStandardMaterial({ color, roughness: 0.9 });
+      this.corpseMaterials.set(corpse.faction, material);
+    }
+    const group = new THREE.Group();
+    const segment = new THREE.SphereGeometry(0.22, 8, 6);
+    for (const [z, s] of [[0.35, 0.8], [0, 0.7], [-0.4, 1.1]]) {   // Head, thorax, gaster
+      const part = new THREE.Mesh(segment, material);
+      part.position.set(0, 0.12, z);
+      part.scale.set(s, s * 0.7, s * 1.2);
+      part.castShadow = true;
+      group.add(part);
+    }
+    const legGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.35, 4);
+    for (let k = 0; k < 6; k++) {
+      const side = k < 3 ? -1 : 1;
+      const leg = new THREE.Mesh(legGeo, material);
+      leg.position.set(side * 0.12, 0.3, 0.2 - (k % 3) * 0.2);
+      leg.rotation.z = -side * 0.4;
+      group.add(leg);
+    }
+    group.rotation.y = corpse.id * 2.399;   // Golden angle: varied but stable headings
+    group.userData.scale = getCaste(corpse.type).mesh.scale * 1.5;
+    group.userData.gridX = null;
+    return group;
+  }
+
+  _createFoundingNestMesh(color, emissive) {
+    const group = new THREE.Group();
+
+    // A freshly dug entrance: no mound yet, just the hole and a thin ring
+    const hole = new THREE.Mesh(
+      new THREE.CircleGeometry(0.25, 10),
+      new THREE.MeshStandardMaterial({ color: 0x0a0804, roughness: 1.0 })
+    );
+    hole.rotation.x = -Math.PI / 2;
+    hole.position.y = 0.05;
+    group.add(hole);
+
+    const ring = new THREE.Mesh(
+      new THREE.TorusGeometry(1.5, 0.06, 6, 20),
+      new THREE.MeshStandardMaterial({ color, emissive, emissiveIntensity: 0.5, roughness: 0.6 })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.1;
+    group.add(ring);
+
+    return group;
+  }
+
   _createNestMesh(color, emissive) {
     const group = new THREE.Group();
     
@@ -447,42 +771,35 @@ export class SceneManager {
    *   ANTENNAE        — elbowed: scape (base rod) + funiculus (angled whip)
    *   LEGS            — 3 pairs, each with femur + tibia segments joined at an angle
    *
-   * Caste differences:
-   *   WORKER  — balanced proportions, small mandibles
-   *   SOLDIER — same thorax/gaster, MUCH larger head + massive mandibles
+   * Body plans (caste mesh.body in CONFIG.CASTES, built at the caste's mesh.scale):
+   *   WORKER  — balanced proportions, small mandibles (workers, scouts, nurses)
+   *   SOLDIER — same thorax/gaster, MUCH larger head + massive mandibles (soldiers, majors)
    *   QUEEN   — normal head, elongated thorax, hugely distended physogastric gaster
+   * Alates (mesh.wings) add two pairs of translucent wings. `faction` picks the
+   * body colour (CONFIG.FACTIONS).
    */
-  createAntMesh(id, type, colonyId) {
+  createAntMesh(id, type, faction) {
     const group = new THREE.Group();
 
-    const isEnemy = colonyId === 1;
-    const isSoldier = type === 'SOLDIER';
-    const isQueen = type === 'QUEEN';
+    const style = factionStyle(faction);
+    const { body, scale, wings } = getCaste(type).mesh;
+    const isSoldier = body === 'SOLDIER';
+    const isQueen = body === 'QUEEN';
 
     // ─── Base unit scale (all measurements relative to this) ─────
-    const U = isQueen ? 1.4 : (isSoldier ? 0.85 : 0.65);
-
-    // ─── Colony body material ─────
-    const bodyMaterial = isEnemy
-      ? new THREE.MeshStandardMaterial({
-          color: 0x6b1c00, roughness: 0.55, metalness: 0.08,
-          emissive: 0x2a0600, emissiveIntensity: 0.12,
-        })
-      : new THREE.MeshStandardMaterial({
-          color: 0x1a1a1e, roughness: 0.5, metalness: 0.08,
-          emissive: 0x050508, emissiveIntensity: 0.08,
-        });
+    const U = scale;
+
+    // ─── Faction body material ─────
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+      color: style.body, roughness: 0.5, metalness: 0.08,
+      emissive: style.bodyEmissive, emissiveIntensity: 0.1,
+    });
 
     // Slightly glossier chitin material for head + mandibles
-    const chitinMaterial = isEnemy
-      ? new THREE.MeshStandardMaterial({
-          color: 0x5a1800, roughness: 0.35, metalness: 0.15,
-          emissive: 0x200500, emissiveIntensity: 0.1,
-        })
-      : new THREE.MeshStandardMaterial({
-          color: 0x151518, roughness: 0.3, metalness: 0.15,
-          emissive: 0x040406, emissiveIntensity: 0.08,
-        });
+    const chitinMaterial = new THREE.MeshStandardMaterial({
+      color: style.chitin, roughness: 0.3, metalness: 0.15,
+      emissive: style.bodyEmissive, emissiveIntensity: 0.08,
+    });
 
     const darkMat = new THREE.MeshStandardMaterial({
       color: 0x0a0a0a, roughness: 0.6, metalness: 0.1,
@@ -732,6 +1049,27 @@ export class SceneManager {
       legs.push(legGroup);
     }
 
+    // ─────────────────────────────────────────────────────────────
+    //  WINGS — alates only: two translucent pairs folded back over the gaster
+    // ─────────────────────────────────────────────────────────────
+    if (wings) {
+      const wingMat = new THREE.MeshStandardMaterial({
+        color: 0xddeeff, transparent: true, opacity: 0.35,
+        roughness: 0.2, metalness: 0.1, side: THREE.DoubleSide, depthWrite: false,
+      });
+      const foreGeo = new THREE.PlaneGeometry(0.09 * U, 0.42 * U);
+      const hindGeo = new THREE.PlaneGeometry(0.07 * U, 0.30 * U);
+      for (let side = -1; side <= 1; side += 2) {
+        for (const [geo, len, spread] of [[foreGeo, 0.42, 0.18], [hindGeo, 0.30, 0.32]]) {
+          const wing = new THREE.Mesh(geo, wingMat);
+          wing.rotation.x = -Math.PI / 2;
+          wing.rotation.z = side * spread;
+          wing.position.set(side * thoraxW * 0.6, thoraxH * 0.9, thoraxZ - len * U * 0.45);
+          group.add(wing);
+        }
+      }
+    }
+
     // ─────────────────────────────────────────────────────────────
     //  FOOD-CARRYING INDICATOR (golden sphere, hidden by default)
     // ─────────────────────────────────────────────────────────────
@@ -748,12 +1086,13 @@ export class SceneManager {
     // ─── Store metadata ─────
     group.userData.antType = type;
     group.userData.isQueen = isQueen;
+    group.userData.scale = U;
     group.userData.birthTick = performance.now();
     group.userData.originalMaterial = bodyMaterial;
 
     this.scene.add(group);
     this.antMeshes.set(id, group);
-    this.antBodies.set(id, { head, thorax, petiole, gaster, legs, foodIndicator });
+    this.antBodies.set(id, { head, thorax, petiole, gaster, legs, foodIndicator, gasterScale: gaster.scale.clone() });
 
     return group;
   }
@@ -767,8 +1106,10 @@ export class SceneManager {
    * @param {number} carryingFood - amount of food carried (0 = none)
    * @param {number} hitFlash - hit flash timer (>0 = flashing)
    * @param {boolean} isMoving - whether the ant is moving (for leg animation)
+   * @param {boolean} sharing - passing food mouth to mouth (trophallaxis)
+   * @param {number} cropFill - how full the crop is (0–1); swells the gaster
    */
-  updateAntMesh(id, x, y, angle, carryingFood = 0, hitFlash = 0, isMoving = true) {
+  updateAntMesh(id, x, y, angle, carryingFood = 0, hitFlash = 0, isMoving = true, sharing = false, cropFill = 0) {
     const mesh = this.antMeshes.get(id);
     if (!mesh) return;
     
@@ -783,11 +1124,25 @@ export class SceneManager {
 
     // --- Food-carrying indicator (golden sphere between mandibles) ---
     if (bodies.foodIndicator) {
-      bodies.foodIndicator.visible = carryingFood > 0;
-      if (carryingFood > 0) {
+      bodies.foodIndicator.visible = carryingFood > 0 || sharing;
+      if (sharing) {
+        // Trophallaxis: a droplet pulsing between the two mouths, heads bobbing
+        const t = performance.now() * 0.012;
+        bodies.foodIndicator.scale.setScalar(0.6 + Math.sin(t) * 0.3);
+        bodies.foodIndicator.position.y = 0;
+        bodies.head.rotation.x = 0.15 + Math.sin(t) * 0.15;
+      } else if (carryingFood > 0) {
         // Gentle bob while carried
+        bodies.foodIndicator.scale.setScalar(1);
         bodies.foodIndicator.position.y = Math.sin(performance.now() * 0.005) * 0.015;
       }
+      if (!sharing) bodies.head.rotation.x = 0.15;   // Resting tilt (see createAntMesh)
+    }
+
+    // --- Crop fill: a full social stomach swells the gaster ---
+    if (!mesh.userData.isQueen && bodies.gasterScale) {
+      const swell = 1 + Math.min(1, cropFill) * 0.35;
+      bodies.gaster.scale.set(bodies.gasterScale.x * swell, bodies.gasterScale.y * swell, bodies.gasterScale.z * swell);
     }
 
     // --- Hit flash (swap to white material) ---
@@ -813,7 +1168,7 @@ export class SceneManager {
 
     // Queen animations
     if (mesh.userData.isQueen) {
-      const U = 1.4; // queen base unit
+      const U = mesh.userData.scale; // queen-body base unit
       const gW = 0.20 * U; const gH = 0.17 * U; const gD = 0.35 * U;
 
       if (bodies.gaster) {
@@ -1058,6 +1413,85 @@ export class SceneManager {
     }
   }
 
+  // ─── WEATHER ────────────────────────────────────────────────────────
+
+  /**
+   * Rain streaks around the camera, darker and glossier ground while wet,
+   * and a flood-water plane at the sim's flood height (the sim floods the
+   * lowest ground first, so one flat surface matches the flooded cells).
+   * Call once per frame with real dt.
+   * @param {Weather} weather
+   * @param {number} dt - seconds
+   */
+  updateWeather(weather, dt) {
+    if (!this.rain) this._createRain();
+
+    // Rain streaks: visible count follows rain intensity
+    const visible = Math.floor(this.RAIN_DROPS * weather.rain);
+    this.rain.geometry.setDrawRange(0, visible * 2);
+    this.rain.visible = visible > 0;
+    if (visible > 0) {
+      const cam = this.camera.position;
+      const pos = this.rainPositions;
+      const fall = 28 * dt;
+      for (let i = 0; i < visible; i++) {
+        const i6 = i * 6;
+        let y = pos[i6 + 1] - fall;
+        if (y < cam.y - 12 || Math.abs(pos[i6] - cam.x) > 25 || Math.abs(pos[i6 + 2] - cam.z) > 25) {
+          pos[i6] = cam.x + (Math.random() - 0.5) * 50;
+          pos[i6 + 2] = cam.z + (Math.random() - 0.5) * 50;
+          y = cam.y + 4 + Math.random() * 16;
+        }
+        pos[i6 + 1] = y;
+        pos[i6 + 3] = pos[i6] + 0.05;
+        pos[i6 + 4] = y + 0.6;
+        pos[i6 + 5] = pos[i6 + 2];
+      }
+      this.rain.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // Ground soaks up quickly in rain and dries slowly after
+    const target = Math.min(1, weather.rain * 2);
+    const rate = target > this.wetness ? 0.5 : 0.05;
+    this.wetness += Math.max(-rate * dt, Math.min(rate * dt, target - this.wetness));
+    if (this.terrain) {
+      // Terrain uses vertex colours (white base) once mounds are baked
+      this.terrain.material.color.setScalar(1 - 0.35 * this.wetness);
+      this.terrain.material.roughness = 0.8 - 0.45 * this.wetness;
+    }
+
+    // Flood water
+    if (this.heightmap && weather.floodLevel > 0.001) {
+      this.floodPlane.position.y = this.heightmap.floodHeight(weather.floodLevel);
+      this.floodPlane.visible = true;
+    } else {
+      this.floodPlane.visible = false;
+    }
+  }
+
+  _createRain() {
+    this.RAIN_DROPS = 2000;
+    this.rainPositions = new Float32Array(this.RAIN_DROPS * 6); // two vertices per streak
+    for (let i = 0; i < this.RAIN_DROPS * 6; i += 3) this.rainPositions[i + 1] = -999;
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(this.rainPositions, 3));
+    geo.attributes.position.setUsage(THREE.DynamicDrawUsage);
+    this.rain = new THREE.LineSegments(geo, new THREE.LineBasicMaterial({
+      color: 0xaabbcc, transparent: true, opacity: 0.45, depthWrite: false,
+    }));
+    this.rain.frustumCulled = false;
+    this.scene.add(this.rain);
+    this.wetness = 0;
+
+    const floodGeo = new THREE.PlaneGeometry(CONFIG.WORLD_WIDTH * CONFIG.CELL_SIZE, CONFIG.WORLD_HEIGHT * CONFIG.CELL_SIZE);
+    floodGeo.rotateX(-Math.PI / 2);
+    this.floodPlane = new THREE.Mesh(floodGeo, new THREE.MeshStandardMaterial({
+      color: 0x3a5a6a, transparent: true, opacity: 0.6, roughness: 0.1, metalness: 0.2, depthWrite: false,
+    }));
+    this.floodPlane.visible = false;
+    this.scene.add(this.floodPlane);
+  }
+
   // ─── DEATH ANIMATION ───────────────────────────────────────────────
 
   /**
@@ -1138,25 +1572,28 @@ export class SceneManager {
   }
 
   /**
-   * Update 3D pheromone visualization from heatmap data.
-   * @param {Array} playerGrid - food trail for player colony
-   * @param {Array} enemyGrid - food trail for enemy colony
-   * @param {Array} playerAlarmGrid - alarm pheromone for player colony
-   * @param {Array} enemyAlarmGrid - alarm pheromone for enemy colony
+   * Update 3D pheromone visualization from raw pheromone buffers
+   * (PheromoneGrid.getBuffer(): Float32Array, index = x * WORLD_HEIGHT + y).
+   * @param {Float32Array} playerBuf - food trail for player colony
+   * @param {Float32Array[]} enemyBufs - food trails of every other colony (summed)
+   * @param {Float32Array} [playerAlarmBuf] - alarm pheromone for player colony
+   * @param {Float32Array[]} [enemyAlarmBufs] - alarm pheromone of every other colony
    */
-  updatePheromoneLayer(playerGrid, enemyGrid, playerAlarmGrid, enemyAlarmGrid) {
+  updatePheromoneLayer(playerBuf, enemyBufs, playerAlarmBuf, enemyAlarmBufs = []) {
     if (!this.pheromoneInstanced) return;
     const step = this.pheroSampleStep;
     const threshold = 5;
+    const H = CONFIG.WORLD_HEIGHT;
     let idx = 0;
 
     for (let gx = 0; gx < CONFIG.WORLD_WIDTH; gx += step) {
-      for (let gy = 0; gy < CONFIG.WORLD_HEIGHT; gy += step) {
-        const pVal = playerGrid[gx] ? (playerGrid[gx][gy] || 0) : 0;
-        const eVal = enemyGrid[gx] ? (enemyGrid[gx][gy] || 0) : 0;
-        const paVal = playerAlarmGrid ? (playerAlarmGrid[gx] ? (playerAlarmGrid[gx][gy] || 0) : 0) : 0;
-        const eaVal = enemyAlarmGrid ? (enemyAlarmGrid[gx] ? (enemyAlarmGrid[gx][gy] || 0) : 0) : 0;
-        const alarmVal = paVal + eaVal;
+      for (let gy = 0; gy < H; gy += step) {
+        const i = gx * H + gy;
+        const pVal = playerBuf[i];
+        let eVal = 0;
+        for (const buf of enemyBufs) eVal += buf[i];
+        let alarmVal = playerAlarmBuf ? playerAlarmBuf[i] : 0;
+        for (const buf of enemyAlarmBufs) alarmVal += buf[i];
 
         if (pVal < threshold && eVal < threshold && alarmVal < threshold) continue;
 
@@ -1167,7 +1604,7 @@ export class SceneManager {
         this._pheroMatrix.makeTranslation(worldX, terrainY + 0.02, worldZ);
         this.pheromoneInstanced.setMatrixAt(idx, this._pheroMatrix);
 
-        // Color: green for player food, red for enemy food, orange for alarm
+        // Color: green for player food, red for everyone else's, orange for alarm
         const pA = Math.min(1, pVal / 150);
         const eA = Math.min(1, eVal / 150);
         const aA = Math.min(1, alarmVal / 100);
@@ -0,0 +1,94 @@
+import { OLDEST_SAVE_VERSION, SAVE_VERSION } from './sim/index.js';
+
+const DB_NAME = 'antenboro';
+const STORE_NAME = 'saves';
+
+/**
+ * Browser save-game (and replay recording) storage.
+ * Saves go to IndexedDB (no practical size cap); falls back to localStorage
+ * when IndexedDB is unavailable (private mode, file:// origins).
+ */
+export class SaveStore {
+  constructor() {
+    this._dbPromise = null;
+  }
+
+  /**
+   * Wrap a match snapshot in the versioned save envelope.
+   * @param {object} sim - SimulationEngine.serialize() output
+   * @param {object} player - PlayerController.serialize() output
+   */
+  static createSave(sim, player) {
+    return {
+      format: 'antenboro-save',
+      version: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      sim,
+      player,
+    };
+  }
+
+  /**
+   * Store a save under a slot name.
+   */
+  async save(slot, data) {
+    const json = JSON.stringify(data);
+    const db = await this._openDB();
+    if (db) {
+      await this._request(db, 'readwrite', store => store.put(json, slot));
+    } else {
+      localStorage.setItem(`${DB_NAME}:${slot}`, json);
+    }
+    return json.length;
+  }
+
+  /**
+   * Read raw stored JSON from a slot. Resolves to null when the slot is empty.
+   */
+  async read(slot) {
+    const db = await this._openDB();
+    const json = db
+      ? await this._request(db, 'readonly', store => store.get(slot))
+      : localStorage.getItem(`${DB_NAME}:${slot}`);
+    return json ? JSON.parse(json) : null;
+  }
+
+  /**
+   * Load a save from a slot. Resolves to null when the slot is empty.
+   */
+  async load(slot) {
+    const data = await this.read(slot);
+    if (!data) return null;
+    if (data.format !== 'antenboro-save') throw new Error('Not an AntenbOro save');
+    if (!(data.version >= OLDEST_SAVE_VERSION && data.version <= SAVE_VERSION)) {
+      throw new Error(`Save version ${data.version} is not supported (expected ${OLDEST_SAVE_VERSION}–${SAVE_VERSION})`);
+    }
+    return data;
+  }
+
+  _openDB() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('IndexedDB unavailable, using localStorage:', req.error);
+        resolve(null);
+      };
+    });
+    return this._dbPromise;
+  }
+
+  _request(db, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const req = fn(tx.objectStore(STORE_NAME));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+}
+
+export default SaveStore;
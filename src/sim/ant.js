@@ -1,52 +1,101 @@
 import CONFIG from './config.js';
+import { PHEROMONE, pheromoneChannel } from './pheromone.js';
+import { getCaste, lifespanOf, lifeStage } from './castes.js';
+import { checkMorale, injuryOf, injurySpeed, resolveBite, sprayAcid } from './combat.js';
+
+/**
+ * Colony food per unit of a food type (loads from before food types were seeds).
+ */
+export function foodNutrition(type) {
+  return (CONFIG.FOOD_TYPES[type] || CONFIG.FOOD_TYPES.SEED).nutrition;
+}
+
+/**
+ * Whether an ant is free to start sharing food (giving or taking).
+ */
+function canShare(ant) {
+  return !ant.isDead && !ant.isPlayerControlled && !ant.feeding && !ant.grapple &&
+    ant.state !== 'FIGHTING' && ant.state !== 'FLEEING' && ant.state !== 'DRAGGING' && ant.state !== 'HAULING';
+}
 
 /**
  * Ant entity with state machine, movement, and combat logic.
- * AI modelled after petrofang/ant_simulator:
- *   WANDERING / FOLLOWING — forage for food (combined in _forage)
- *   CARRYING             — return home depositing pheromone trail, U-turn on deposit
- *   FIGHTING             — attack nearby enemy
+ * AI modelled after petrofang/ant_simulator (two-pheromone model):
+ *   WANDERING / FOLLOWING — forage: lay "home" trail, follow "food" trails (_forage)
+ *   CARRYING             — return home: lay "food" trail, follow "home" trails, U-turn on deposit
+ *                          (also a hostile colony's dead, scavenged as food, and liquid
+ *                          food in the crop, shared with nestmates before the rest is stored)
+ *   HAULING              — carry a dead nestmate from near the nest to the colony's midden
+ *   DRAGGING             — hold on to a heavy item (insect) with other ants, pulling it home
+ *   FIGHTING             — attack nearby enemy: bite, spray acid, grapple (combat.js)
+ *   FLEEING              — routed by a hit that broke its morale: run home and calm down
  *   GUARDING             — soldier patrols near nest
+ *   RESTING              — forager sits out the night or rain inside the nest
+ *   HUNGRY               — low on energy: walk home to eat from the stores
+ *   WOUNDED              — injured (CONFIG.INJURIES): walk home and heal there,
+ *                          tended by nurses
+ * Any ant may also stop to share food mouth to mouth (trophallaxis, `feeding`):
+ * carriers feed nestmates in the nest and soldiers in the field, and hungry
+ * ants beg from passing carriers.
+ * Which of these an ant uses, and its stats, come from its caste (castes.js);
+ * workers also change jobs as they age (CONFIG.AGE_STAGES): nurse, digger,
+ * forager, then guard, until they die of old age.
  */
 export class Ant {
-  constructor(id, type, colonyId, nestX, nestY) {
+  constructor(id, type, colonyId, nestX, nestY, rng) {
     this.id = id;
-    this.type = type;              // 'WORKER', 'SOLDIER', or 'QUEEN'
-    this.colonyId = colonyId;      // 0 = player, 1 = enemy
+    this.type = type;              // Caste key in CONFIG.CASTES ('WORKER', 'SOLDIER', 'QUEEN', …)
+    this.colonyId = colonyId;      // 0 = player; see SimulationEngine.colonies
     
     // Position (float grid coordinates)
     this.x = nestX;
     this.y = nestY;
     this.nestX = nestX;
     this.nestY = nestY;
-    this.angle = Math.random() * Math.PI * 2;
+    this.rng = rng;                // Shared SeededRandom owned by SimulationEngine
+    this.angle = rng.angle();
     
     // Life & health
     this.age = 0;
-    this.health = type === 'QUEEN' ? CONFIG.QUEEN_HEALTH
-      : type === 'SOLDIER' ? CONFIG.SOLDIER_HEALTH
-      : CONFIG.WORKER_HEALTH;
+    this.health = getCaste(type).health;
     this.maxHealth = this.health;
     this.isDead = false;
+    this.energy = CONFIG.ANT_MAX_ENERGY; // Drains over time; refilled from the colony stores at the nest
     
     // State machine
-    this.state = 'WANDERING';     // WANDERING, FOLLOWING, CARRYING, FIGHTING, GUARDING
+    this.state = 'WANDERING';     // WANDERING, FOLLOWING, CARRYING, DRAGGING, HAULING, FIGHTING, FLEEING, GUARDING, RAIDING, RESTING, HUNGRY, WOUNDED
     this.stateTimer = 0;
     
     // Foraging
     this.carryingFood = 0;
+    this.carryingType = null;      // CONFIG.FOOD_TYPES key of the load
+    this.dragFood = -1;            // Index in world.foodPatches of the heavy item being dragged
+    this.dragSlot = 0;             // Where on the item's rim this ant holds on (radians)
+    this.dragWait = 0;             // Ticks the item has not budged
+    this.dragHeld = 0;             // Carriers on the item when we last checked
+    this.haulCorpse = null;        // World.corpses entry being carried to the midden
+    this.crop = {};                // Social stomach: food type → units of liquid food held for sharing
+    this.feeding = null;           // { antId, giver } of the nestmate we're sharing food with
     
     // Combat
     this.biteCooldown = 0;
+    this.acidCooldown = 0;
     this.hitFlash = 0;
+    this.grapple = null;           // { colonyId, antId } of the ant we're locked with (see combat.js)
     
     // Player control flag — when true, AI state machine is skipped
     this.isPlayerControlled = false;
     
-    // Pheromone channel = own colony (food trail)
-    this.pheromoneChannel = colonyId;
-    // Alarm pheromone channel = colonyId + 2 (channels 2 & 3)
-    this.alarmChannel = colonyId + 2;
+    // Own colony's pheromone channels (see PheromoneGrid)
+    this.foodChannel = pheromoneChannel(colonyId, PHEROMONE.FOOD);
+    this.homeChannel = pheromoneChannel(colonyId, PHEROMONE.HOME);
+    this.alarmChannel = pheromoneChannel(colonyId, PHEROMONE.ALARM);
+    // Trail deposit strength: 1 on leaving nest/food, fades with each tick
+    // away so trails form a gradient pointing back at their source
+    this.trailStrength = 1;
+
+    // Obstacle avoidance: side (-1 / +1) we're turning to skirt an obstacle, 0 = clear
+    this.avoidTurn = 0;
     
     // Queen wandering
     this.queenWanderTimer = 0;
@@ -54,13 +103,50 @@ export class Ant {
 
     // Stats
     this.foodDeposited = 0;
+    this.foodShared = 0;           // Colony food passed to nestmates mouth to mouth
     this.entsKilled = 0;
   }
 
+  /**
+   * Registry entry for this ant's caste.
+   */
+  get caste() {
+    return getCaste(this.type);
+  }
+
+  /**
+   * CONFIG.AGE_STAGES entry for this ant's age, or null if its caste keeps
+   * one job for life.
+   */
+  get lifeStage() {
+    return lifeStage(this.type, this.age);
+  }
+
+  /**
+   * What this ant does when it has nothing more pressing: its age stage's
+   * behavior, else its caste's.
+   */
+  get behavior() {
+    const stage = this.lifeStage;
+    return stage ? stage.behavior : this.caste.behavior;
+  }
+
+  /**
+   * Colony food held in the crop.
+   */
+  get cropFood() {
+    let food = 0;
+    for (const [type, units] of Object.entries(this.crop)) food += units * foodNutrition(type);
+    return food;
+  }
+
   /**
    * Main update tick for this ant.
+   * @param {World} world
+   * @param {Colony} colony - the ant's own colony
+   * @param {Colony[]} enemies - colonies hostile to it
    */
-  update(world, colony, otherColony) {
+  update(world, colony, enemies) {
     if (this.isDead) return;
 
     if (this.health <= 0) {
@@ -69,139 +155,407 @@ export class Ant {
     }
 
     this.age++;
+    const lifespan = lifespanOf(this.type);
+    if (lifespan > 0 && this.age >= lifespan && !this.isPlayerControlled) {
+      this.isDead = true;            // Old age
+      return;
+    }
     if (this.biteCooldown > 0) this.biteCooldown--;
+    if (this.acidCooldown > 0) this.acidCooldown--;
     if (this.hitFlash > 0) this.hitFlash--;
 
+    // Burn energy; eat and heal whenever at the nest (the player's ant too)
+    this._metabolize(world.clock.season, colony);
+    this._heal(colony);
+
     // Skip AI for player-controlled ant
     if (this.isPlayerControlled) return;
 
+    const caste = this.caste;
+    const behavior = this.behavior;
+
     // Queen: gentle wandering inside nest
-    if (this.type === 'QUEEN') {
+    if (behavior === 'QUEEN') {
       if (this.isLayingEgg > 0) this.isLayingEgg--;
+      if (this.feeding && this._shareFood(colony)) return;
       this._queenWander();
       return;
     }
 
+    this.trailStrength *= CONFIG.PHEROMONE_TRAIL_FADE;
+
+    // A grapple or a rout breaks off any feeding
+    if (this.feeding && (this.grapple || this.state === 'FLEEING')) this.feeding = null;
+
+    // --- Locked in a grapple: nothing else until one of us breaks free ---
+    if (this.grapple && this._wrestle(colony, enemies)) return;
+
+    // --- Routed: run home, ignoring enemies, until calm again ---
+    if (this.state === 'FLEEING' && this._flee(world, enemies)) return;
+
     // --- Always check for nearby enemies first (highest priority) ---
-    const enemy = this._findNearbyEnemy(otherColony);
+    // Beacons let ants near the nest spot enemies farther off
+    const sight = Math.hypot(this.x - this.nestX, this.y - this.nestY) < CONFIG.BEACON_SIGHT_RADIUS ? colony.getSightBonus() : 1;
+    const enemy = this._findNearbyEnemy(enemies, sight);
     if (enemy) {
+      this.feeding = null;
       // Deposit alarm pheromone — "I found an enemy here!"
       world.depositPheromone(this.x, this.y, this.alarmChannel, CONFIG.ALARM_PHEROMONE_STRENGTH);
-      this._attackEnemy(enemy);
+      this._attackEnemy(enemy, world, colony, enemies);
       return;
     }
 
     // If we were fighting but lost target, return to appropriate state
     if (this.state === 'FIGHTING') {
-      this.state = (this.carryingFood > 0) ? 'CARRYING' : 'WANDERING';
+      this.state = (this.carryingFood > 0 || this.cropFood > 0) ? 'CARRYING' : 'WANDERING';
+      this.dragFood = -1;
     }
 
+    // --- Mouth-to-mouth feeding: carry on with an exchange, or start one ---
+    if (this.feeding && this._shareFood(colony)) return;
+    if (this.age % CONFIG.TROPHALLAXIS_CHECK_INTERVAL === 0 && this._seekExchange(colony)) return;
+
     // --- Check for alarm pheromone (reinforcement behavior) ---
-    const alarmSteer = this._alarmPheromoneSteer(world);
+    const alarmSteer = this._pheromoneSteer(world, this.alarmChannel, CONFIG.ALARM_SENSOR_RANGE * caste.senseRange);
     if (alarmSteer !== null) {
-      const responseChance = this.type === 'SOLDIER'
-        ? CONFIG.ALARM_RESPONSE_SOLDIER
-        : CONFIG.ALARM_RESPONSE_WORKER;
-      if (Math.random() < responseChance && this.state !== 'CARRYING') {
+      if (this.rng.next() < caste.alarmResponse && this.state !== 'CARRYING' && this.state !== 'DRAGGING') {
         // Rush toward the alarm!
         this.angle += alarmSteer * CONFIG.ANT_TURN_MAX * 1.5;
         this.state = 'FOLLOWING';
-        this._move();
+        this._move(world, enemies);
         return;
       }
     }
 
-    // --- Soldiers default to guarding near nest when nothing else to do ---
-    if (this.type === 'SOLDIER' && this.state === 'WANDERING') {
+    // --- Night / rain: idle foragers turn in, resting ones head out again after ---
+    if (caste.rests) this._updateRest(world.clock, world.weather);
+
+    // --- Running low: idle ants go home to eat while there's food there ---
+    if (this.energy < CONFIG.ANT_HUNGRY_ENERGY && colony.foodAmount > 0 &&
+        (this.state === 'WANDERING' || this.state === 'FOLLOWING' || this.state === 'GUARDING' || this.state === 'RAIDING')) {
+      this.state = 'HUNGRY';
+    }
+
+    // --- Hurt: idle ants go home to heal ---
+    if ((this.state === 'WANDERING' || this.state === 'FOLLOWING' || this.state === 'GUARDING' || this.state === 'RAIDING') &&
+        injuryOf(this)) {
+      this.state = 'WOUNDED';
+    }
+
+    // --- Raids: fighters march on the nest the colony's AI director picked ---
+    const rally = colony.orders?.rally;
+    if (rally && caste.behavior === 'GUARD' && (this.state === 'WANDERING' || this.state === 'RAIDING')) {
+      this._raid(world, rally, enemies);
+      return;
+    }
+    if (this.state === 'RAIDING') this.state = 'WANDERING';   // Raid called off
+
+    // --- Guards (soldiers, majors, old workers) stay near the nest when nothing else to do ---
+    if (behavior === 'GUARD' && this.state === 'WANDERING') {
       const distToNest = Math.hypot(this.x - this.nestX, this.y - this.nestY);
       if (distToNest > CONFIG.NEST_RADIUS * 5) {
         // Drift back toward nest
         const homeAngle = Math.atan2(this.nestY - this.y, this.nestX - this.x);
         this.angle = this._lerpAngle(this.angle, homeAngle, 0.15);
-        this._move();
+        this._move(world, enemies);
         return;
       }
     }
 
+    // A haul interrupted (fight, flight, meal…) — put the body down
+    if (this.haulCorpse && this.state !== 'HAULING') {
+      world.placeCorpse(this.haulCorpse, this.x, this.y);
+      this.haulCorpse = null;
+    }
+
     // --- State machine ---
     switch (this.state) {
       case 'WANDERING':
       case 'FOLLOWING':
-        this._forage(world);
+        if (behavior === 'NURSE') this._nurse(colony);
+        else if (behavior === 'ALATE') this._tendNest();
+        else if (behavior === 'DIG' && colony.underground.getPendingWork()) this._dig(colony);
+        else if (!this._scavenge(world, colony, enemies)) this._forage(world, colony.orders);
+        break;
+      case 'HAULING':
+        this._haul(world, colony);
         break;
       case 'CARRYING':
         this._returnHome(world, colony);
         break;
+      case 'DRAGGING':
+        this._drag(world, colony);
+        return;
       case 'GUARDING':
         this._guard();
         break;
+      case 'RESTING':
+        if (this._rest()) return;
+        break;
+      case 'HUNGRY':
+        this._seekMeal(colony);
+        break;
+      case 'WOUNDED':
+        if (this._convalesce()) return;
+        break;
     }
 
-    this._move();
+    this._move(world, enemies);
   }
 
   // ─── FORAGING (WANDERING + FOLLOWING) ───────────────────────────────
 
-  _forage(world) {
+  /**
+   * @param {World} world
+   * @param {object|null} orders - colony.orders from an AI director: while
+   *   TURTLE wanderers stay near home, otherwise they drift toward `forage`
+   */
+  _forage(world, orders = null) {
     // Check if standing on food — pick it up
     const foodHere = this._checkFoodAtFeet(world);
     if (foodHere) {
-      const taken = Math.min(CONFIG.FOOD_CARRY_CAPACITY, foodHere.amount);
+      // Too heavy for one ant — grab hold and wait for help
+      if (world.carriersNeeded(foodHere) > 1) {
+        this.dragFood = world.foodPatches.indexOf(foodHere);
+        this.dragSlot = this.rng.angle();
+        this.dragWait = 0;
+        this.dragHeld = 0;
+        this.state = 'DRAGGING';
+        return;
+      }
+      // Liquid food is drunk into the crop, anything else carried in the mandibles
+      const liquid = CONFIG.FOOD_TYPES[foodHere.type]?.liquid;
+      const taken = liquid
+        ? Math.min(foodHere.amount, Math.max(0, CONFIG.CROP_CAPACITY - this.cropFood) / foodNutrition(foodHere.type))
+        : Math.min(CONFIG.FOOD_CARRY_CAPACITY, foodHere.amount);
       if (taken > 0) {
         foodHere.amount -= taken;
-        this.carryingFood = taken;
+        if (liquid) {
+          this.crop[foodHere.type] = (this.crop[foodHere.type] || 0) + taken;
+        } else {
+          this.carryingFood = taken;
+          this.carryingType = foodHere.type;
+        }
         this.state = 'CARRYING';
+        this.trailStrength = 1;
         // U-turn to head home with slight randomness
-        this.angle += Math.PI + (Math.random() - 0.5) * 0.4;
+        this.angle += Math.PI + (this.rng.next() - 0.5) * 0.4;
         return;
       }
     }
 
-    // --- Pheromone-guided steering (3-sensor antenna model) ---
-    const steer = this._pheromoneSteer(world);
+    // Outbound: mark the way back home
+    this._layTrail(world, this.homeChannel, CONFIG.PHEROMONE_STRENGTH_HOME);
+
+    // --- Follow "food" trails (3-sensor antenna model) ---
+    const steer = this._pheromoneSteer(world, this.foodChannel);
     
-    if (steer !== null && Math.random() > CONFIG.ANT_WANDER_PROBABILITY) {
+    if (steer !== null && this.rng.next() > CONFIG.ANT_WANDER_PROBABILITY) {
       // Follow the pheromone trail
       this.angle += steer * CONFIG.ANT_TURN_MAX;
       this.state = 'FOLLOWING';
     } else {
       // Random walk — gentle wandering
-      this.angle += (Math.random() - 0.5) * CONFIG.ANT_WANDER_ANGLE_CHANGE * 2.2;
+      this.angle += (this.rng.next() - 0.5) * CONFIG.ANT_WANDER_ANGLE_CHANGE * 2.2;
+      this.state = 'WANDERING';
+      if (orders) this._followForageOrders(orders);
+    }
+  }
+
+  /**
+   * Bias a wandering forager's heading by its colony's orders.
+   */
+  _followForageOrders(orders) {
+    if (orders.posture === 'TURTLE') {
+      if (Math.hypot(this.x - this.nestX, this.y - this.nestY) > CONFIG.DIRECTOR_TURTLE_RADIUS) {
+        this.angle = this._lerpAngle(this.angle, Math.atan2(this.nestY - this.y, this.nestX - this.x), 0.2);
+      }
+    } else if (orders.forage) {
+      const { x, y } = orders.forage;
+      if (Math.hypot(x - this.x, y - this.y) > CONFIG.DIRECTOR_REGION_SIZE / 2) {
+        this.angle = this._lerpAngle(this.angle, Math.atan2(y - this.y, x - this.x), 0.05);
+      }
+    }
+  }
+
+  // ─── CORPSES (scavenging, necrophoresis) ────────────────────────────
+
+  /**
+   * Deal with a corpse in sensing range: a hostile colony's dead is food to
+   * carry home, a nestmate lying near the nest gets hauled to the midden;
+   * allies' dead are left alone.
+   * @param {Colony[]} enemies - colonies hostile to this ant
+   * @returns {boolean} true if a corpse took up this tick
+   */
+  _scavenge(world, colony, enemies) {
+    const range = CONFIG.CORPSE_SENSE_RANGE * this.caste.senseRange;
+    const hostile = c => enemies.some(other => other.faction === c.faction);
+    const corpse = world.findCorpseNear(this.x, this.y, range, c => c.colonyId === colony.id
+      ? !c.atMidden && Math.hypot(c.x - this.nestX, c.y - this.nestY) < CONFIG.CORPSE_CLEAR_RADIUS
+      : hostile(c));
+    if (!corpse) return false;
+
+    const dx = corpse.x - this.x;
+    const dy = corpse.y - this.y;
+    if (Math.hypot(dx, dy) > 1) {
+      this.angle = this._lerpAngle(this.angle, Math.atan2(dy, dx), 0.3);
+      return true;
+    }
+    world.takeCorpse(corpse);
+    if (corpse.colonyId === colony.id) {
+      this.haulCorpse = corpse;
+      this.state = 'HAULING';
+    } else {
+      this.carryingFood = 1;
+      this.carryingType = 'CORPSE';
+      this.state = 'CARRYING';
+      this.trailStrength = 1;
+      this.angle += Math.PI + (this.rng.next() - 0.5) * 0.4;
+    }
+    return true;
+  }
+
+  /**
+   * Carry a dead nestmate to the midden and drop it there.
+   */
+  _haul(world, colony) {
+    const { x, y } = colony.midden;
+    if (Math.hypot(x - this.x, y - this.y) <= CONFIG.MIDDEN_RADIUS) {
+      world.placeCorpse(this.haulCorpse, this.x, this.y, true);
+      this.haulCorpse = null;
       this.state = 'WANDERING';
+      this.angle += Math.PI + (this.rng.next() - 0.5) * 0.6;
+      return;
     }
+    this.angle = this._lerpAngle(this.angle, Math.atan2(y - this.y, x - this.x), 0.3);
   }
 
   // ─── RETURNING HOME WITH FOOD ───────────────────────────────────────
 
   _returnHome(world, colony) {
-    // Deposit pheromone trail while carrying food home
-    // This trail leads FROM food TO nest — other ants follow it to find food
-    world.depositPheromone(this.x, this.y, this.pheromoneChannel, CONFIG.PHEROMONE_STRENGTH_HOME);
+    // Lay "food" trail while carrying food home — strongest near the food,
+    // so outbound ants climbing the gradient find the source
+    this._layTrail(world, this.foodChannel, CONFIG.PHEROMONE_STRENGTH_FOOD);
 
     // Check if we reached the nest
     const distToNest = Math.hypot(this.x - this.nestX, this.y - this.nestY);
     if (distToNest < CONFIG.NEST_RADIUS) {
-      // Deposit food
-      colony.foodAmount += this.carryingFood;
+      // Deposit food (recruiters coming back from a heavy item bring nothing)
+      if (this.carryingFood > 0) {
+        colony.depositFood(this.carryingFood * foodNutrition(this.carryingType));
+        this.foodDeposited++;
+      }
       this.carryingFood = 0;
-      this.foodDeposited++;
+      this.carryingType = null;
+
+      // Feed nestmates from the crop, then empty what's left into the stores
+      if (this.cropFood > 0) {
+        if (this._feedNestmate(colony)) return;
+        colony.depositFood(this._drawCrop(this.cropFood));
+        this.foodDeposited++;
+      }
+      this.trailStrength = 1;
       
       // U-turn away from nest to go forage again
       this.state = 'WANDERING';
-      this.angle += Math.PI + (Math.random() - 0.5) * 0.6;
+      this.angle += Math.PI + (this.rng.next() - 0.5) * 0.6;
       return;
     }
 
-    // Steer toward home nest with slight randomness
-    const dx = this.nestX - this.x;
-    const dy = this.nestY - this.y;
-    const homeAngle = Math.atan2(dy, dx);
-    this.angle = homeAngle + (Math.random() - 0.5) * 0.35;
+    const homeAngle = Math.atan2(this.nestY - this.y, this.nestX - this.x);
+
+    // Nest in sight — head straight in
+    if (distToNest < CONFIG.NEST_RADIUS * 2) {
+      this.angle = homeAngle + (this.rng.next() - 0.5) * 0.35;
+      return;
+    }
+
+    // Weak sense of the nest direction (path integration) keeps ants
+    // from drifting off along stray trails — stronger after dark
+    const bias = CONFIG.ANT_HOMING_BIAS * (1 + CONFIG.NIGHT_HOMING_BOOST * (1 - world.clock.daylight));
+    this.angle = this._lerpAngle(this.angle, homeAngle, Math.min(1, bias));
+
+    // Follow "home" trails laid by outbound ants, else wander
+    const steer = this._pheromoneSteer(world, this.homeChannel);
+    if (steer !== null) {
+      this.angle += steer * CONFIG.ANT_TURN_MAX + (this.rng.next() - 0.5) * 0.1;
+    } else {
+      this.angle += (this.rng.next() - 0.5) * CONFIG.ANT_WANDER_ANGLE_CHANGE;
+    }
+  }
+
+  // ─── DRAGGING HEAVY FOOD ────────────────────────────────────────────
+
+  /**
+   * Hold on to a heavy item and pull it toward the nest; the world moves it
+   * once enough ants pull (World.pullFood). Delivers it at the nest. If it
+   * won't budge for FOOD_DRAG_PATIENCE ticks, head home laying a food trail
+   * to recruit help.
+   */
+  _drag(world, colony) {
+    const food = world.foodPatches[this.dragFood];
+    if (!food || food.amount <= 0 ||
+        Math.hypot(food.x - this.x, food.y - this.y) > CONFIG.FOOD_DRAG_RADIUS + 2) {
+      this._letGo();
+      return;
+    }
+
+    if (Math.hypot(food.x - this.nestX, food.y - this.nestY) < CONFIG.NEST_RADIUS) {
+      colony.depositFood(food.amount * foodNutrition(food.type));
+      food.amount = 0;
+      this.foodDeposited++;
+      this._letGo();
+      return;
+    }
+
+    // Patience resets whenever the item moves or another ant joins
+    world.pullFood(food, this.nestX, this.nestY);
+    this.dragWait = food.moving || food.held > this.dragHeld ? 0 : this.dragWait + 1;
+    this.dragHeld = food.held;
+
+    // Keep our grip on the rim as the item moves, facing home
+    const step = world.resolveMove(
+      this.x, this.y,
+      food.x + Math.cos(this.dragSlot) * CONFIG.FOOD_DRAG_RADIUS,
+      food.y + Math.sin(this.dragSlot) * CONFIG.FOOD_DRAG_RADIUS
+    );
+    this.x = step.x;
+    this.y = step.y;
+    this.angle = Math.atan2(this.nestY - this.y, this.nestX - this.x);
+    this._layTrail(world, this.foodChannel, CONFIG.PHEROMONE_STRENGTH_FOOD);
+
+    if (this.dragWait > CONFIG.FOOD_DRAG_PATIENCE) {
+      // Go fetch help: the CARRYING walk home lays a food trail back here
+      this.dragFood = -1;
+      this.state = 'CARRYING';
+      this.trailStrength = 1;
+    }
+  }
+
+  _letGo() {
+    this.dragFood = -1;
+    this.state = 'WANDERING';
+    this.angle += Math.PI + (this.rng.next() - 0.5) * 0.6;
+  }
+
+  /**
+   * Deposit trail pheromone every PHEROMONE_DEPOSIT_RATE ticks,
+   * scaled by how recently the ant left the trail's source.
+   */
+  _layTrail(world, channel, strength) {
+    if (this.age % CONFIG.PHEROMONE_DEPOSIT_RATE !== 0) return;
+    world.depositPheromone(this.x, this.y, channel, strength * this.trailStrength);
   }
 
   // ─── COMBAT ─────────────────────────────────────────────────────────
 
-  _attackEnemy(enemy) {
+  /**
+   * Close in on an enemy and bite it; acid sprayers spray while closing in.
+   * Damage, grapples and routs are resolved in combat.js.
+   * @param {Colony} colony - our colony (flanking allies)
+   * @param {Colony[]} enemies - colonies hostile to us (acid hits any of them)
+   */
+  _attackEnemy(enemy, world, colony, enemies) {
     this.state = 'FIGHTING';
     
     // Face enemy
@@ -211,23 +565,306 @@ export class Ant {
     const dist = Math.sqrt(dx * dx + dy * dy);
 
     if (dist > CONFIG.BITE_RANGE) {
-      // Move toward enemy — soldiers charge faster
-      const speedMult = this.type === 'SOLDIER' ? 1.3 : 1.0;
-      this.x += Math.cos(this.angle) * CONFIG.ANT_SPEED * speedMult;
-      this.y += Math.sin(this.angle) * CONFIG.ANT_SPEED * speedMult;
+      if (this.caste.acid > 0 && this.acidCooldown <= 0 && dist <= CONFIG.ACID_RANGE) {
+        sprayAcid(this, enemies);
+      }
+      // Move toward enemy — soldiers charge faster, the injured slower
+      const spd = CONFIG.ANT_SPEED * this.caste.chargeSpeed * injurySpeed(this) * world.clock.speedFactor *
+        world.terrainSpeed(this.x, this.y, this.angle);
+      this._stepTo(world, this.x + Math.cos(this.angle) * spd, this.y + Math.sin(this.angle) * spd, enemies);
       return;
     }
     
-    if (this.biteCooldown <= 0) {
-      const damage = this.type === 'SOLDIER' ? CONFIG.SOLDIER_DAMAGE : CONFIG.WORKER_DAMAGE;
-      enemy.health -= damage;
-      enemy.hitFlash = 10;
-      this.biteCooldown = CONFIG.BITE_COOLDOWN;
-      
-      if (enemy.health <= 0) {
-        enemy.isDead = true;
-        this.entsKilled++;
-      }
+    if (this.biteCooldown <= 0) resolveBite(this, enemy, colony, this.rng);
+  }
+
+  /**
+   * Locked in a grapple: stand still and keep biting; each tick there's a
+   * chance to break free, the better the weaker the other ant's grip.
+   * @returns {boolean} true while still locked
+   */
+  _wrestle(colony, enemies) {
+    const { colonyId, antId } = this.grapple;
+    const other = enemies.find(c => c.id === colonyId)
+      ?.antIndex.nearest(this.x, this.y, CONFIG.GRAPPLE_RANGE, a => a.id === antId && !a.isDead);
+    if (!other) {
+      this.grapple = null;
+      return false;
+    }
+    if (this.rng.next() < CONFIG.GRAPPLE_ESCAPE_CHANCE * (1 - other.caste.grip)) {
+      this.grapple = null;
+      other.grapple = null;
+      checkMorale(this);
+      return false;
+    }
+    this.state = 'FIGHTING';
+    this.angle = Math.atan2(other.y - this.y, other.x - this.x);
+    if (this.biteCooldown <= 0) resolveBite(this, other, colony, this.rng);
+    return true;
+  }
+
+  /**
+   * Run for the nest, then mill about inside it until calm again — unless
+   * enemies follow it in, when it is cornered and fights.
+   * @returns {boolean} true if fleeing took up this tick
+   */
+  _flee(world, enemies) {
+    const dx = this.nestX - this.x;
+    const dy = this.nestY - this.y;
+    if (Math.hypot(dx, dy) > CONFIG.NEST_RADIUS * 0.5) {
+      this.angle = this._lerpAngle(this.angle, Math.atan2(dy, dx), 0.4);
+    } else if (this._findNearbyEnemy(enemies)) {
+      this.state = 'FIGHTING';
+      return false;
+    } else if (--this.stateTimer <= 0) {
+      this.state = this.carryingFood > 0 ? 'CARRYING' : 'WANDERING';
+      return false;
+    } else {
+      this._tendNest();
+    }
+    this._move(world, enemies);
+    return true;
+  }
+
+  // ─── RESTING (night, bad weather) ───────────────────────────────────
+
+  /**
+   * Idle foragers drift into RESTING as activity drops at night or rain
+   * sets in, and back out as conditions improve, so fewer ants are out
+   * foraging in the dark or the wet.
+   */
+  _updateRest(clock, weather) {
+    const pressure = Math.max(1 - clock.activity, weather.shelter);
+    if (this.state === 'RESTING') {
+      const wake = clock.activity * (1 - weather.shelter);
+      if (this.rng.next() < CONFIG.ANT_WAKE_CHANCE * wake) this.state = 'WANDERING';
+    } else if (this.state === 'WANDERING' && pressure > 0 &&
+               this.rng.next() < CONFIG.ANT_REST_CHANCE * pressure) {
+      this.state = 'RESTING';
+    }
+  }
+
+  /**
+   * Walk back to the nest, then sit still inside it.
+   * @returns {boolean} true while the ant is settled (no movement this tick)
+   */
+  _rest() {
+    const dx = this.nestX - this.x;
+    const dy = this.nestY - this.y;
+    if (Math.hypot(dx, dy) > CONFIG.NEST_RADIUS * 0.5) {
+      this.angle = this._lerpAngle(this.angle, Math.atan2(dy, dx), 0.3);
+      return false;
+    }
+    return true;
+  }
+
+  // ─── HUNGER ─────────────────────────────────────────────────────────
+
+  /**
+   * Burn energy at the caste's rate (scaled by the season's upkeep), dip
+   * into the crop when running low and top up from the colony stores while
+   * inside the nest. An empty stomach costs health instead.
+   */
+  _metabolize(season, colony) {
+    this.energy = Math.max(0, this.energy - this.caste.energyDrain * season.upkeep);
+
+    if (this.energy < CONFIG.ANT_HUNGRY_ENERGY && this.cropFood > 0) {
+      this.energy += this._drawCrop((CONFIG.ANT_MAX_ENERGY - this.energy) / CONFIG.ENERGY_PER_FOOD) * CONFIG.ENERGY_PER_FOOD;
+    }
+
+    if (this.energy < CONFIG.ANT_EAT_BELOW &&
+        Math.hypot(this.x - this.nestX, this.y - this.nestY) < CONFIG.NEST_RADIUS) {
+      const eaten = colony.takeFood((CONFIG.ANT_MAX_ENERGY - this.energy) / CONFIG.ENERGY_PER_FOOD);
+      this.energy += eaten * CONFIG.ENERGY_PER_FOOD;
+    }
+
+    if (this.energy <= 0) this.health -= CONFIG.ANT_STARVATION_DAMAGE;
+  }
+
+  /**
+   * Head home; once fed (or the stores turn out empty) go back to work.
+   */
+  _seekMeal(colony) {
+    if (this.energy >= CONFIG.ANT_EAT_BELOW || colony.foodAmount <= 0) {
+      this.state = 'WANDERING';
+      this.angle += Math.PI + (this.rng.next() - 0.5) * 0.6;
+      return;
+    }
+    const homeAngle = Math.atan2(this.nestY - this.y, this.nestX - this.x);
+    this.angle = this._lerpAngle(this.angle, homeAngle, 0.3);
+  }
+
+  // ─── TROPHALLAXIS (mouth-to-mouth feeding) ──────────────────────────
+
+  /**
+   * Take up to `food` colony food out of the crop.
+   * @returns {number} colony food taken
+   */
+  _drawCrop(food) {
+    let drawn = 0;
+    for (const type of Object.keys(this.crop)) {
+      const nutrition = foodNutrition(type);
+      const units = Math.min(this.crop[type], (food - drawn) / nutrition);
+      this.crop[type] -= units;
+      drawn += units * nutrition;
+      if (this.crop[type] <= 1e-9) delete this.crop[type];
+      if (drawn >= food) break;
+    }
+    return drawn;
+  }
+
+  /**
+   * Pair up with a nestmate for an exchange, this ant giving.
+   */
+  _startSharing(receiver) {
+    this.feeding = { antId: receiver.id, giver: true, ticks: CONFIG.TROPHALLAXIS_TICKS };
+    receiver.feeding = { antId: this.id, giver: false };
+  }
+
+  /**
+   * Every TROPHALLAXIS_CHECK_INTERVAL ticks: beg from a carrier in reach
+   * when hungry with an empty crop, or offer a full crop to a soldier.
+   * @returns {boolean} true if an exchange started
+   */
+  _seekExchange(colony) {
+    if (!canShare(this)) return false;
+    if (this.energy < CONFIG.ANT_HUNGRY_ENERGY && this.cropFood <= 0) {
+      const carrier = colony.antIndex.nearest(this.x, this.y, CONFIG.TROPHALLAXIS_RANGE, a =>
+        a !== this && a.cropFood > 0 && canShare(a));
+      if (carrier) carrier._startSharing(this);
+      return carrier !== null;
+    }
+    if (this.cropFood > 0) {
+      const soldier = colony.antIndex.nearest(this.x, this.y, CONFIG.TROPHALLAXIS_RANGE, a =>
+        a !== this && a.behavior === 'GUARD' && a.energy < CONFIG.TROPHALLAXIS_ACCEPT_BELOW &&
+        a.cropFood <= 0 && canShare(a));
+      if (soldier) this._startSharing(soldier);
+      return soldier !== null;
+    }
+    return false;
+  }
+
+  /**
+   * Back at the nest with food in the crop: walk up to the nearest nestmate
+   * inside that will take a feed and start sharing with it.
+   * @returns {boolean} true while there's someone to feed
+   */
+  _feedNestmate(colony) {
+    const mate = colony.antIndex.nearest(this.x, this.y, CONFIG.NEST_RADIUS * 2, a =>
+      a !== this && a.energy < CONFIG.TROPHALLAXIS_ACCEPT_BELOW && a.cropFood <= 0 && canShare(a) &&
+      Math.hypot(a.x - this.nestX, a.y - this.nestY) < CONFIG.NEST_RADIUS);
+    if (!mate) return false;
+    const dx = mate.x - this.x;
+    const dy = mate.y - this.y;
+    if (Math.hypot(dx, dy) > CONFIG.TROPHALLAXIS_RANGE) {
+      this.angle = this._lerpAngle(this.angle, Math.atan2(dy, dx), 0.4);
+    } else {
+      this._startSharing(mate);
+    }
+    return true;
+  }
+
+  /**
+   * Carry on an exchange: face the partner while the giver passes it
+   * TROPHALLAXIS_RATE a tick until it is full, the crop is dry or
+   * TROPHALLAXIS_TICKS run out.
+   * @returns {boolean} true while still sharing (no movement this tick)
+   */
+  _shareFood(colony) {
+    const { antId, giver } = this.feeding;
+    const other = colony.antIndex.nearest(this.x, this.y, CONFIG.TROPHALLAXIS_RANGE * 2, a =>
+      a.id === antId && !a.isDead && !a.isPlayerControlled);
+    if (!other || other.feeding?.antId !== this.id) {
+      this.feeding = null;
+      return false;
+    }
+    this.angle = Math.atan2(other.y - this.y, other.x - this.x);
+    if (!giver) return true;
+
+    const room = (CONFIG.ANT_MAX_ENERGY - other.energy) / CONFIG.ENERGY_PER_FOOD;
+    const passed = this._drawCrop(Math.min(CONFIG.TROPHALLAXIS_RATE, room));
+    other.energy += passed * CONFIG.ENERGY_PER_FOOD;
+    this.foodShared += passed;
+    if (--this.feeding.ticks <= 0 || passed <= 0 || this.cropFood <= 0) {
+      this.feeding = null;
+      other.feeding = null;
+    }
+    return true;
+  }
+
+  // ─── INJURIES & HEALING ─────────────────────────────────────────────
+
+  /**
+   * Regain health inside the nest at the colony's heal rate (infirmaries
+   * speed it up, corpses nearby slow it), as long as we're not starving —
+   * and fall ill there if too many corpses lie about.
+   */
+  _heal(colony) {
+    if (Math.hypot(this.x - this.nestX, this.y - this.nestY) >= CONFIG.NEST_RADIUS) return;
+    this.health -= colony.getSickness();
+    if (this.health >= this.maxHealth || this.energy <= 0) return;
+    this.health = Math.min(this.maxHealth, this.health + this.maxHealth * colony.getHealRate());
+  }
+
+  /**
+   * Walk home and lie low until healed enough to go back to work.
+   * @returns {boolean} true while the ant is settled (no movement this tick)
+   */
+  _convalesce() {
+    if (this.health >= this.maxHealth * CONFIG.HEAL_DISCHARGE) {
+      this.state = 'WANDERING';
+      this.angle += Math.PI + (this.rng.next() - 0.5) * 0.6;
+      return false;
+    }
+    return this._rest();
+  }
+
+  // ─── NURSING (stay in the nest) ─────────────────────────────────────
+
+  /**
+   * Nurse: tend the nearest wounded nestmate (or the hurt hero) in the nest,
+   * else mill about.
+   */
+  _nurse(colony) {
+    const patient = colony.antIndex.nearest(this.x, this.y, CONFIG.NEST_RADIUS, a =>
+      a !== this && !a.isDead && a.health < a.maxHealth && (a.state === 'WOUNDED' || a.isPlayerControlled) &&
+      Math.hypot(a.x - this.nestX, a.y - this.nestY) < CONFIG.NEST_RADIUS);
+    if (!patient) {
+      this._tendNest();
+      return;
+    }
+    const dx = patient.x - this.x;
+    const dy = patient.y - this.y;
+    if (Math.hypot(dx, dy) > CONFIG.NURSE_TEND_RANGE) {
+      this.angle = this._lerpAngle(this.angle, Math.atan2(dy, dx), 0.3);
+      return;
+    }
+    patient.health = Math.min(patient.maxHealth, patient.health + patient.maxHealth * CONFIG.NURSE_HEAL_RATE);
+    this.angle += (this.rng.next() - 0.5) * 0.3;
+  }
+
+  /**
+   * Mill about inside the nest, turning back at its edge.
+   */
+  _tendNest() {
+    this.angle += (this.rng.next() - 0.5) * 0.7;
+    const dx = this.nestX - this.x;
+    const dy = this.nestY - this.y;
+    if (Math.hypot(dx, dy) > CONFIG.NEST_RADIUS * 0.6) {
+      this.angle = this._lerpAngle(this.angle, Math.atan2(dy, dx), 0.3);
+    }
+  }
+
+  // ─── DIGGING (queued tunnels and chambers) ──────────────────────────
+
+  /**
+   * Stay in the nest and put a tick of work into the next unbuilt tunnel
+   * or chamber.
+   */
+  _dig(colony) {
+    this._tendNest();
+    if (Math.hypot(this.x - this.nestX, this.y - this.nestY) < CONFIG.NEST_RADIUS) {
+      colony.underground.excavate(1);
     }
   }
 
@@ -235,7 +872,7 @@ export class Ant {
 
   _guard() {
     // Patrol randomly around nest area
-    this.angle += (Math.random() - 0.5) * 0.7;
+    this.angle += (this.rng.next() - 0.5) * 0.7;
     
     // Drift back toward nest if too far
     const distToNest = Math.hypot(this.x - this.nestX, this.y - this.nestY);
@@ -245,6 +882,23 @@ export class Ant {
     }
   }
 
+  // ─── RAIDING (AI director orders) ───────────────────────────────────
+
+  /**
+   * March on the raided nest and mill about there; fights start through
+   * the usual enemy check.
+   */
+  _raid(world, rally, enemies) {
+    this.state = 'RAIDING';
+    const dx = rally.x - this.x;
+    const dy = rally.y - this.y;
+    if (Math.hypot(dx, dy) > CONFIG.DIRECTOR_RALLY_RADIUS) {
+      this.angle = this._lerpAngle(this.angle, Math.atan2(dy, dx), 0.2);
+    }
+    this.angle += (this.rng.next() - 0.5) * 0.4;
+    this._move(world, enemies);
+  }
+
   // ─── QUEEN WANDERING ───────────────────────────────────────────────
 
   /**
@@ -256,7 +910,7 @@ export class Ant {
 
     // Slow random angle change every few ticks
     if (this.queenWanderTimer % 8 === 0) {
-      this.angle += (Math.random() - 0.5) * 0.6;
+      this.angle += (this.rng.next() - 0.5) * 0.6;
     }
 
     // If too far from nest center, steer back gently
@@ -270,10 +924,10 @@ export class Ant {
       this.angle = this._lerpAngle(this.angle, homeAngle, 0.25);
     }
 
-    // Move very slowly (30% of normal ant speed)
+    // Move very slowly (caste speed: 30% of normal ant speed)
     // Don't move while laying egg (brief pause)
     if (this.isLayingEgg <= 0) {
-      const spd = CONFIG.ANT_SPEED * 0.3;
+      const spd = CONFIG.ANT_SPEED * this.caste.speed;
       this.x += Math.cos(this.angle) * spd;
       this.y += Math.sin(this.angle) * spd;
     }
@@ -281,8 +935,11 @@ export class Ant {
 
   // ─── MOVEMENT ───────────────────────────────────────────────────────
 
-  _move() {
-    const spd = this.isPlayerControlled ? CONFIG.ANT_SPEED * 1.5 : CONFIG.ANT_SPEED;
+  _move(world, enemies = []) {
+    this._steerAroundObstacles(world);
+
+    const baseSpeed = this.isPlayerControlled ? CONFIG.ANT_SPEED * 1.5 : CONFIG.ANT_SPEED * this.caste.speed * world.clock.speedFactor;
+    const spd = baseSpeed * injurySpeed(this) * world.terrainSpeed(this.x, this.y, this.angle);
     let nx = this.x + Math.cos(this.angle) * spd;
     let ny = this.y + Math.sin(this.angle) * spd;
 
@@ -296,65 +953,76 @@ export class Ant {
       ny = Math.max(1, Math.min(CONFIG.WORLD_HEIGHT - 2, ny));
     }
 
-    this.x = nx;
-    this.y = ny;
+    this._stepTo(world, nx, ny, enemies);
   }
 
-  // ─── SENSORS ────────────────────────────────────────────────────────
-
   /**
-   * 3-sensor pheromone steering (left / forward / right probes).
-   * Returns a steer value in [-1, 0, +1] or null if no signal.
+   * Step to (nx, ny) unless a hostile nest's barricade is in the way.
+   * @param {Colony[]} enemies - colonies hostile to this ant
    */
-  _pheromoneSteer(world) {
-    const dist = CONFIG.PHEROMONE_SENSOR_RANGE;
-    const ang = CONFIG.PHEROMONE_SENSOR_SPREAD;
+  _stepTo(world, nx, ny, enemies) {
+    if (enemies.some(colony => colony.blocksStep(this, nx, ny))) return;
+    // Never step into rock or water — slide along it instead
+    const step = world.resolveMove(this.x, this.y, nx, ny);
+    this.x = step.x;
+    this.y = step.y;
+  }
 
-    const L = world.readPheromone(
-      this.x + Math.cos(this.angle - ang) * dist,
-      this.y + Math.sin(this.angle - ang) * dist,
-      this.pheromoneChannel
-    );
-    const F = world.readPheromone(
-      this.x + Math.cos(this.angle) * dist,
-      this.y + Math.sin(this.angle) * dist,
-      this.pheromoneChannel
-    );
-    const R = world.readPheromone(
-      this.x + Math.cos(this.angle + ang) * dist,
-      this.y + Math.sin(this.angle + ang) * dist,
-      this.pheromoneChannel
+  /**
+   * If the way ahead is blocked, turn toward the nearest open heading.
+   * Keeps turning to the same side while skirting one obstacle so ants
+   * follow its edge instead of dithering.
+   */
+  _steerAroundObstacles(world) {
+    const probe = CONFIG.OBSTACLE_PROBE_RANGE;
+    const clear = (a) => world.isPassable(
+      this.x + Math.cos(a) * probe,
+      this.y + Math.sin(a) * probe
     );
 
-    if (L === 0 && F === 0 && R === 0) return null;
-    if (L > F && L > R) return -1;
-    if (R > F && R > L) return  1;
-    return 0;
+    if (clear(this.angle)) {
+      this.avoidTurn = 0;
+      return;
+    }
+    if (this.avoidTurn === 0) this.avoidTurn = this.rng.next() < 0.5 ? -1 : 1;
+
+    for (const side of [this.avoidTurn, -this.avoidTurn]) {
+      for (let k = 1; k <= 6; k++) {
+        const a = this.angle + side * k * 0.4;
+        if (clear(a)) {
+          this.angle = a;
+          this.avoidTurn = side;
+          return;
+        }
+      }
+    }
+    // Boxed in — turn around
+    this.angle += Math.PI;
   }
 
+  // ─── SENSORS ────────────────────────────────────────────────────────
+
   /**
-   * 3-sensor alarm pheromone steering (left / forward / right probes).
-   * Detects alarm from own colony to rush toward fights.
+   * 3-sensor pheromone steering (left / forward / right probes) on one channel.
    * Returns a steer value in [-1, 0, +1] or null if no signal.
    */
-  _alarmPheromoneSteer(world) {
-    const dist = CONFIG.ALARM_SENSOR_RANGE;
+  _pheromoneSteer(world, channel, dist = CONFIG.PHEROMONE_SENSOR_RANGE * this.caste.senseRange) {
     const ang = CONFIG.PHEROMONE_SENSOR_SPREAD;
 
     const L = world.readPheromone(
       this.x + Math.cos(this.angle - ang) * dist,
       this.y + Math.sin(this.angle - ang) * dist,
-      this.alarmChannel
+      channel
     );
     const F = world.readPheromone(
       this.x + Math.cos(this.angle) * dist,
       this.y + Math.sin(this.angle) * dist,
-      this.alarmChannel
+      channel
     );
     const R = world.readPheromone(
       this.x + Math.cos(this.angle + ang) * dist,
       this.y + Math.sin(this.angle + ang) * dist,
-      this.alarmChannel
+      channel
     );
 
     if (L === 0 && F === 0 && R === 0) return null;
@@ -367,34 +1035,47 @@ export class Ant {
    * Check if there's food directly at the ant's feet (within ~1 cell).
    */
   _checkFoodAtFeet(world) {
-    let closest = null;
-    let closestDist = 1.5; // must be standing right on top of food
-    
-    for (const food of world.foodPatches) {
-      if (food.amount <= 0) continue;
-      const dist = Math.hypot(this.x - food.x, this.y - food.y);
-      if (dist < closestDist) {
-        closestDist = dist;
-        closest = food;
+    // must be standing right on top of food
+    return world.findFoodNear(this.x, this.y, 1.5);
+  }
+
+  /**
+   * Nearest live hostile ant within sensing range (× sight, from beacons).
+   */
+  _findNearbyEnemy(enemies, sight = 1) {
+    const detectRange = CONFIG.FOOD_SEARCH_RANGE * this.caste.senseRange * sight; // reuse as enemy detect range
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const colony of enemies) {
+      const ant = colony.antIndex.nearest(this.x, this.y, detectRange, a => !a.isDead);
+      if (!ant) continue;
+      const d = Math.hypot(ant.x - this.x, ant.y - this.y);
+      if (d < nearestDist) {
+        nearest = ant;
+        nearestDist = d;
       }
     }
-    return closest;
+    return nearest;
   }
 
-  _findNearbyEnemy(otherColony) {
-    const detectRange = CONFIG.FOOD_SEARCH_RANGE; // reuse as enemy detect range
-    let closest = null;
-    let closestDist = detectRange;
+  // ─── SAVE / LOAD ────────────────────────────────────────────────────
 
-    for (const ant of otherColony.ants) {
-      if (ant.isDead) continue;
-      const dist = Math.hypot(this.x - ant.x, this.y - ant.y);
-      if (dist < closestDist) {
-        closestDist = dist;
-        closest = ant;
-      }
-    }
-    return closest;
+  /**
+   * Plain-data snapshot of this ant (everything except the shared RNG).
+   */
+  serialize() {
+    const { rng, ...data } = this;
+    return structuredClone(data);
+  }
+
+  /**
+   * Rebuild an ant from serialize() output.
+   * @param {object} data
+   * @param {import('./rng.js').SeededRandom} rng - engine RNG (state is restored afterwards)
+   */
+  static deserialize(data, rng) {
+    const ant = new Ant(data.id, data.type, data.colonyId, data.nestX, data.nestY, rng);
+    return Object.assign(ant, structuredClone(data));
   }
 
   /**
@@ -0,0 +1,69 @@
+import CONFIG from './config.js';
+import { factionStyle } from './relations.js';
+
+/**
+ * Caste registry lookups over CONFIG.CASTES.
+ *
+ * Everything that differs between castes — stats, behaviour, mesh, colours —
+ * is read from the registry rather than branching on the type string, so a
+ * new caste is a new CONFIG.CASTES entry.
+ */
+
+/**
+ * Registry entry for an ant type (unknown types behave as workers).
+ */
+export function getCaste(type) {
+  return CONFIG.CASTES[type] || CONFIG.CASTES.WORKER;
+}
+
+/**
+ * Caste keys in registry order.
+ */
+export function casteTypes() {
+  return Object.keys(CONFIG.CASTES);
+}
+
+/**
+ * HUD / strategy-view colour of a caste for a faction: the caste's own
+ * shade for the player and the enemy, the faction colour beyond that.
+ */
+export function casteColor(type, faction) {
+  return getCaste(type).colors[faction] ?? factionStyle(faction).dot;
+}
+
+/**
+ * Age (ticks) at which an ant of this caste dies of old age; 0 = never.
+ */
+export function lifespanOf(type) {
+  return getCaste(type).lifespan * CONFIG.ANT_LIFESPAN_TICKS;
+}
+
+/**
+ * CONFIG.AGE_STAGES entry for an ant of this caste and age, or null for
+ * castes without polyethism.
+ */
+export function lifeStage(type, age) {
+  const lifespan = lifespanOf(type);
+  if (!getCaste(type).polyethism || lifespan <= 0) return null;
+  const stages = CONFIG.AGE_STAGES;
+  return stages.find(s => age < s.until * lifespan) || stages[stages.length - 1];
+}
+
+/**
+ * Pick the caste of a new egg by broodWeight (one RNG draw).
+ * @param {object} [weights] - caste → weight overrides (e.g. an AI director's)
+ */
+export function pickBroodCaste(rng, weights = null) {
+  const weightOf = (t) => weights?.[t] ?? CONFIG.CASTES[t].broodWeight;
+  const types = casteTypes().filter(t => CONFIG.CASTES[t].broodWeight > 0);
+  let total = 0;
+  for (const t of types) total += weightOf(t);
+  let roll = rng.next() * total;
+  for (const t of types) {
+    roll -= weightOf(t);
+    if (roll < 0) return t;
+  }
+  return types[types.length - 1];
+}
+
+export default getCaste;
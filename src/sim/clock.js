@@ -0,0 +1,66 @@
+import CONFIG from './config.js';
+
+/**
+ * Time of day and season for the simulation.
+ *
+ * Derived entirely from the engine tick (plus CONFIG.DAY_START_TIME and
+ * CONFIG.SEASON_START), so saves and replays need no extra state:
+ * update(tick) recomputes everything.
+ * timeOfDay runs 0 → 1 from midnight to midnight; 0.5 is noon.
+ * Days and seasons roll over at midnight.
+ */
+export class SimClock {
+  constructor(tick = 0) {
+    this.day = 0;            // Calendar day (0 = the day the match starts on)
+    this.timeOfDay = 0;      // [0, 1): 0 = midnight, 0.25 = sunrise, 0.5 = noon, 0.75 = sunset
+    this.sunElevation = 0;   // -1 (midnight) … 1 (noon)
+    this.daylight = 1;       // 0 = full night, 1 = full day (smooth through dawn/dusk)
+    this.activity = 1;       // Ant activity level: (NIGHT_ACTIVITY … 1) × season activity
+    this.season = CONFIG.SEASONS[0]; // Entry of CONFIG.SEASONS
+    this.seasonProgress = 0; // 0 → 1 through the current season
+    this.speedFactor = 1;    // Ant movement multiplier: NIGHT_SPEED … 1
+    this.update(tick);
+  }
+
+  /**
+   * Recompute the time of day for a tick.
+   */
+  update(tick) {
+    const t = tick / CONFIG.DAY_LENGTH_TICKS + CONFIG.DAY_START_TIME;
+    this.day = Math.floor(t);
+    this.timeOfDay = t - this.day;
+
+    const seasons = CONFIG.SEASONS;
+    // Counted from the first midnight, so seasons change with the calendar day
+    const seasonT = t / CONFIG.SEASON_LENGTH_DAYS + CONFIG.SEASON_START;
+    this.season = seasons[Math.floor(seasonT) % seasons.length];
+    this.seasonProgress = seasonT - Math.floor(seasonT);
+    this.sunElevation = -Math.cos(this.timeOfDay * Math.PI * 2);
+
+    // Twilight band: dark below -0.1 elevation, full day above 0.2
+    const d = Math.max(0, Math.min(1, (this.sunElevation + 0.1) / 0.3));
+    this.daylight = d * d * (3 - 2 * d);
+
+    this.activity = (CONFIG.NIGHT_ACTIVITY + (1 - CONFIG.NIGHT_ACTIVITY) * this.daylight) * this.season.activity;
+    this.speedFactor = CONFIG.NIGHT_SPEED + (1 - CONFIG.NIGHT_SPEED) * this.daylight;
+  }
+
+  /**
+   * True once the sun is mostly down.
+   */
+  get isNight() {
+    return this.daylight < 0.5;
+  }
+
+  /**
+   * Clock time as "HH:MM" (24-hour).
+   */
+  getTimeString() {
+    const minutes = Math.floor(this.timeOfDay * 24 * 60 + 1e-6) % (24 * 60);
+    const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+    const mm = String(minutes % 60).padStart(2, '0');
+    return `${hh}:${mm}`;
+  }
+}
+
+export default SimClock;
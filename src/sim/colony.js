@@ -1,19 +1,52 @@
 import CONFIG from './config.js';
 import { Ant } from './ant.js';
+import { getCaste, casteTypes, pickBroodCaste, lifespanOf } from './castes.js';
 import { ColonyUnderground } from './underground.js';
+import { SpatialHash } from './spatial.js';
+
+/**
+ * Where a colony at (nestX, nestY) keeps its midden: MIDDEN_DISTANCE out,
+ * on the side facing away from the middle of the map.
+ */
+export function middenSpot(nestX, nestY) {
+  const cx = CONFIG.WORLD_WIDTH / 2;
+  const cy = CONFIG.WORLD_HEIGHT / 2;
+  const angle = nestX === cx && nestY === cy ? 0 : Math.atan2(nestY - cy, nestX - cx);
+  return {
+    x: Math.max(2, Math.min(CONFIG.WORLD_WIDTH - 3, nestX + Math.cos(angle) * CONFIG.MIDDEN_DISTANCE)),
+    y: Math.max(2, Math.min(CONFIG.WORLD_HEIGHT - 3, nestY + Math.sin(angle) * CONFIG.MIDDEN_DISTANCE)),
+  };
+}
 
 /**
  * Colony manager: queen, ants, food, egg-laying, underground.
  */
 export class Colony {
-  constructor(id, nestX, nestY) {
-    this.id = id;                    // 0 = player, 1 = enemy
+  /**
+   * @param {number} id - colony id (0 = player, then the map's other nests, then colonies founded in play)
+   * @param {number} nestX
+   * @param {number} nestY
+   * @param {SeededRandom} rng
+   * @param {object} [opts]
+   * @param {number} [opts.faction] - side it plays for (defaults to its own id; see relations.js)
+   * @param {number|null} [opts.parentId] - mother colony, for colonies founded by a nuptial flight
+   * @param {boolean} [opts.founding] - start with a lone queen on FOUNDING_FOOD instead of a full nest
+   */
+  constructor(id, nestX, nestY, rng, { faction = id, parentId = null, founding = false } = {}) {
+    this.id = id;                    // Also the colony's pheromone channel set
+    this.faction = faction;          // 0 = player side; colonies of one faction never fight
+    this.parentId = parentId;
+    this.orders = null;              // Set by an AI director (see director.js); null = no strategy
     this.nestX = nestX;
     this.nestY = nestY;
+    this.midden = middenSpot(nestX, nestY); // Where workers dump their dead
+    this.miasma = 0;                 // Uncleared corpses near the nest at the last update
+    this.rng = rng;                  // Shared SeededRandom owned by SimulationEngine
     
     this.queen = null;               // Queen ant
     this.ants = [];                  // All ants in colony
-    this.foodAmount = 100;           // Starting food
+    this.foodAmount = founding ? CONFIG.FOUNDING_FOOD : 100; // Starting food
+    this.foodCollected = 0;          // Lifetime food brought home (foraging efficiency)
     
     this.eggQueue = [];              // { age: 0, type: 'WORKER' }
     this.larvaQueue = [];
@@ -25,69 +58,85 @@ export class Colony {
 
     // Underground tunnel/chamber network
     this.underground = new ColonyUnderground(id);
+
+    // Spatial index of this colony's ants — rebuilt by SimulationEngine
+    // after each colony update, queried by hostile colonies' ants
+    this.antIndex = new SpatialHash();
     
-    this._initializeStartingAnts();
+    this._initializeStartingAnts(founding);
   }
 
-  _initializeStartingAnts() {
+  _initializeStartingAnts(founding) {
     // Create queen
-    this.queen = new Ant(this.nextAntId++, 'QUEEN', this.id, this.nestX, this.nestY);
-    this.queen.health = CONFIG.QUEEN_HEALTH;
-    this.queen.maxHealth = CONFIG.QUEEN_HEALTH;
+    this.queen = new Ant(this.nextAntId++, 'QUEEN', this.id, this.nestX, this.nestY, this.rng);
     this.ants.push(this.queen);
+    if (founding) return;            // Claustral founding: she raises the first workers herself
 
     // Create initial workers
     for (let i = 0; i < CONFIG.INITIAL_WORKERS; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const dist = Math.random() * 3;
-      const x = this.nestX + Math.cos(angle) * dist;
-      const y = this.nestY + Math.sin(angle) * dist;
-      const ant = new Ant(this.nextAntId++, 'WORKER', this.id, x, y);
-      this.ants.push(ant);
+      this.ants.push(this._spawnFounder('WORKER'));
     }
 
     // Create initial soldiers
     for (let i = 0; i < CONFIG.INITIAL_SOLDIERS; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const dist = Math.random() * 3;
-      const x = this.nestX + Math.cos(angle) * dist;
-      const y = this.nestY + Math.sin(angle) * dist;
-      const ant = new Ant(this.nextAntId++, 'SOLDIER', this.id, x, y);
-      this.ants.push(ant);
+      this.ants.push(this._spawnFounder('SOLDIER'));
     }
   }
 
+  /**
+   * Starting ant near the nest, already FOUNDING_ANT_AGE into its life
+   * (so founding workers forage rather than nurse, and don't all die at once).
+   */
+  _spawnFounder(type) {
+    const angle = this.rng.angle();
+    const dist = this.rng.next() * 3;
+    const x = this.nestX + Math.cos(angle) * dist;
+    const y = this.nestY + Math.sin(angle) * dist;
+    const ant = new Ant(this.nextAntId++, type, this.id, x, y, this.rng);
+    const [minAge, maxAge] = CONFIG.FOUNDING_ANT_AGE;
+    ant.age = Math.floor(this.rng.range(minAge, maxAge) * lifespanOf(type));
+    return ant;
+  }
+
   /**
    * Update colony state: queen egg-laying, lifecycle progression, deaths.
+   * (Upkeep is the ants eating from foodAmount — see Ant._metabolize.)
    */
-  update(world, otherColony) {
-    // Update all ants
+  update(world, enemies) {
+    const season = world.clock.season;
+    this.miasma = world.countCorpsesNear(this.nestX, this.nestY, CONFIG.CORPSE_CLEAR_RADIUS);
+
+    // Update all ants; the dead stay on the ground as corpses
     for (let i = this.ants.length - 1; i >= 0; i--) {
       const ant = this.ants[i];
-      ant.update(world, this, otherColony);
+      ant.update(world, this, enemies);
 
       if (ant.isDead) {
         this.ants.splice(i, 1);
+        if (ant.haulCorpse) world.placeCorpse(ant.haulCorpse, ant.x, ant.y);
+        world.addCorpse(ant, this.faction);
       }
     }
 
-    // Queen egg-laying logic
+    // Queen egg-laying logic (a full nest still raises alates)
     if (this.queen && !this.queen.isDead) {
       this.eggLayingTimer++;
+      const raisingAlates = this._raisingAlates(season);
       if (
-        this.eggLayingTimer >= CONFIG.QUEEN_EGG_LAYING_INTERVAL &&
-        this.foodAmount >= CONFIG.QUEEN_MIN_FOOD_TO_LAY &&
-        this.ants.length < CONFIG.MAX_ANTS_PER_COLONY
+        this.eggLayingTimer >= CONFIG.QUEEN_EGG_LAYING_INTERVAL * season.eggInterval &&
+        this.foodAmount >= this.getFoodCapacity() * CONFIG.QUEEN_LAY_FOOD_SHARE &&
+        (this.ants.length < CONFIG.MAX_ANTS_PER_COLONY || raisingAlates)
       ) {
-        this._layEgg();
+        this._layEgg(raisingAlates);
         this.eggLayingTimer = 0;
       }
     }
 
-    // Egg → Larva progression
+    // Egg → Larva progression (nurseries speed up eggs and larvae)
+    const broodSpeed = this.getBroodSpeed();
     for (let i = this.eggQueue.length - 1; i >= 0; i--) {
       this.eggQueue[i].age++;
-      if (this.eggQueue[i].age >= CONFIG.EGG_INCUBATION_TICKS) {
+      if (this.eggQueue[i].age >= CONFIG.EGG_INCUBATION_TICKS / broodSpeed) {
         this.larvaQueue.push(this.eggQueue[i]);
         this.eggQueue.splice(i, 1);
       }
@@ -96,7 +145,7 @@ export class Colony {
     // Larva → Pupa progression
     for (let i = this.larvaQueue.length - 1; i >= 0; i--) {
       this.larvaQueue[i].age++;
-      if (this.larvaQueue[i].age >= CONFIG.LARVA_GROWTH_TICKS) {
+      if (this.larvaQueue[i].age >= CONFIG.LARVA_GROWTH_TICKS / broodSpeed) {
         this.pupaQueue.push(this.larvaQueue[i]);
         this.larvaQueue.splice(i, 1);
       }
@@ -107,14 +156,15 @@ export class Colony {
       this.pupaQueue[i].age++;
       if (this.pupaQueue[i].age >= CONFIG.PUPA_GROWTH_TICKS) {
         const data = this.pupaQueue[i];
-        const angle = Math.random() * Math.PI * 2;
-        const dist = Math.random() * 2;
+        const angle = this.rng.angle();
+        const dist = this.rng.next() * 2;
         const ant = new Ant(
           this.nextAntId++,
           data.type,
           this.id,
           this.nestX + Math.cos(angle) * dist,
-          this.nestY + Math.sin(angle) * dist
+          this.nestY + Math.sin(angle) * dist,
+          this.rng
         );
         this.ants.push(ant);
         this.pupaQueue.splice(i, 1);
@@ -122,37 +172,233 @@ export class Colony {
     }
   }
 
-  _layEgg() {
-    // Randomly choose worker or soldier (mostly workers)
-    const type = Math.random() < 0.8 ? 'WORKER' : 'SOLDIER';
+  /**
+   * Food delivered to the nest (nutrition units). Stores are capped at
+   * getFoodCapacity(); the excess spoils but still counts as collected.
+   */
+  depositFood(amount) {
+    this.foodAmount = Math.min(this.getFoodCapacity(), this.foodAmount + amount);
+    this.foodCollected += amount;
+  }
+
+  /**
+   * Take up to `amount` food from the stores.
+   * @returns {number} food actually taken
+   */
+  takeFood(amount) {
+    const taken = Math.min(this.foodAmount, amount);
+    this.foodAmount -= taken;
+    return taken;
+  }
+
+  /**
+   * Most food the nest can hold: the depot plus each built food store.
+   */
+  getFoodCapacity() {
+    const stores = this.underground.getChambers('food_store').length;
+    return CONFIG.FOOD_DEPOT_CAPACITY + stores * CONFIG.FOOD_STORE_CAPACITY_BONUS;
+  }
+
+  /**
+   * Share of max health a fed ant regains per tick inside the nest: the
+   * base rate plus a bonus per built infirmary, less for every corpse left
+   * lying near the nest.
+   */
+  getHealRate() {
+    const infirmaries = this.underground.getChambers('infirmary').length;
+    const clean = Math.max(0, 1 - this.miasma * CONFIG.CORPSE_HEAL_PENALTY);
+    return CONFIG.HEAL_RATE * (1 + infirmaries * CONFIG.INFIRMARY_HEAL_BONUS) * clean;
+  }
+
+  /**
+   * Health lost per tick by ants inside the nest to the corpses piling up
+   * near it (beyond CORPSE_TOLERANCE).
+   */
+  getSickness() {
+    return CONFIG.CORPSE_SICKNESS * Math.max(0, this.miasma - CONFIG.CORPSE_TOLERANCE);
+  }
+
+  // ─── BUILDINGS ──────────────────────────────────────────────────────
+
+  /**
+   * Brood development speed: each built nursery shortens egg incubation and
+   * larval growth.
+   */
+  getBroodSpeed() {
+    return 1 + this.underground.getChambers('nursery').length * CONFIG.NURSERY_BROOD_BONUS;
+  }
+
+  /**
+   * Underground movement speed multiplier from tunnels dug beyond the
+   * starter one.
+   */
+  getTunnelSpeed() {
+    const extra = Math.max(0, this.underground.getTunnels().length - 1);
+    return Math.min(CONFIG.TUNNEL_SPEED_MAX, 1 + extra * CONFIG.TUNNEL_SPEED_BONUS);
+  }
+
+  /**
+   * Enemy-spotting range multiplier for ants near the nest, from beacons.
+   */
+  getSightBonus() {
+    return 1 + this.underground.getChambers('beacon').length * CONFIG.BEACON_SIGHT_BONUS;
+  }
+
+  /**
+   * Whether a hostile ant's step to (x, y) runs into this nest's barricade:
+   * while one stands, steps into BARRICADE_RADIUS of the entrance are
+   * stopped. Only an assault wears it down — ants fighting or raiding (and
+   * the hero) take their caste damage off it; a broken barricade goes back
+   * on the diggers' queue.
+   * @returns {boolean} true if the step is blocked
+   */
+  blocksStep(ant, x, y) {
+    const dist = Math.hypot(x - this.nestX, y - this.nestY);
+    if (dist >= CONFIG.BARRICADE_RADIUS || dist >= Math.hypot(ant.x - this.nestX, ant.y - this.nestY)) return false;
+    const barricade = this.underground.getChambers('barricade')[0];
+    if (!barricade) return false;
+    if (ant.isPlayerControlled || ant.state === 'FIGHTING' || ant.state === 'RAIDING') {
+      barricade.wear = (barricade.wear || 0) + ant.caste.damage;
+      if (barricade.wear >= CONFIG.BARRICADE_STRENGTH) {
+        barricade.built = false;
+        delete barricade.wear;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Built buildings and what they currently add up to (for the HUD).
+   */
+  getBuildingBonuses() {
+    const ug = this.underground;
+    const barricades = ug.getChambers('barricade');
+    return {
+      nurseries: ug.getChambers('nursery').length,
+      foodStores: ug.getChambers('food_store').length,
+      tunnels: ug.getTunnels().length,
+      barricades: barricades.length,
+      beacons: ug.getChambers('beacon').length,
+      infirmaries: ug.getChambers('infirmary').length,
+      broodSpeed: this.getBroodSpeed(),
+      tunnelSpeed: this.getTunnelSpeed(),
+      sightBonus: this.getSightBonus(),
+      healBonus: 1 + ug.getChambers('infirmary').length * CONFIG.INFIRMARY_HEAL_BONUS,
+      barricadeIntegrity: barricades.length ? 1 - (barricades[0].wear || 0) / CONFIG.BARRICADE_STRENGTH : 0,
+    };
+  }
+
+  /**
+   * True while the colony is big and rich enough to raise alates this season
+   * and hasn't got ALATES_MAX of them (adult or brood) yet.
+   */
+  _raisingAlates(season) {
+    if (!CONFIG.ALATE_SEASONS.includes(season.id)) return false;
+    if (this.ants.length < CONFIG.ALATE_MIN_COLONY_SIZE || this.foodAmount < CONFIG.ALATE_MIN_FOOD) return false;
+    const isAlate = (type) => getCaste(type).behavior === 'ALATE';
+    const alates = this.ants.filter(a => isAlate(a.type)).length +
+      [...this.eggQueue, ...this.larvaQueue, ...this.pupaQueue].filter(b => isAlate(b.type)).length;
+    return alates < CONFIG.ALATES_MAX;
+  }
+
+  /**
+   * Ants with wings waiting for a nuptial flight.
+   */
+  getAlates() {
+    return this.ants.filter(a => !a.isDead && a.caste.behavior === 'ALATE');
+  }
+
+  _layEgg(raisingAlates) {
+    // Mature colonies spend some eggs (all of them, once the nest is full) on
+    // alates; otherwise caste by CONFIG.CASTES broodWeight (mostly workers)
+    let type;
+    let cost = 5;
+    const full = this.ants.length >= CONFIG.MAX_ANTS_PER_COLONY;
+    if (raisingAlates && (full || this.rng.next() < CONFIG.ALATE_EGG_CHANCE)) {
+      type = this.rng.next() < CONFIG.ALATE_GYNE_SHARE ? 'GYNE' : 'DRONE';
+      cost = CONFIG.ALATE_EGG_COST;
+    } else {
+      type = pickBroodCaste(this.rng, this.orders?.broodWeights);
+    }
     
     // Place egg near queen's current position (she lays from her abdomen)
     const eggX = this.queen.x - Math.cos(this.queen.angle) * 0.8;
     const eggY = this.queen.y - Math.sin(this.queen.angle) * 0.8;
     
     this.eggQueue.push({ id: this.nextEggId++, age: 0, type, x: eggX, y: eggY });
-    this.foodAmount -= 5; // Cost to lay egg
+    this.foodAmount -= cost; // Cost to lay egg
     
     // Trigger queen laying animation (pause + gaster contraction for 20 ticks)
     this.queen.isLayingEgg = 20;
   }
 
+  // ─── SAVE / LOAD ────────────────────────────────────────────────────
+
+  /**
+   * Plain-data snapshot: ants, brood queues, food, id counters, underground.
+   */
+  serialize() {
+    const { rng, queen, ants, underground, antIndex, ...fields } = this;
+    return {
+      ...structuredClone(fields),
+      queenId: queen ? queen.id : null,
+      ants: ants.map(a => a.serialize()),
+      underground: underground.serialize(),
+    };
+  }
+
+  /**
+   * Rebuild a colony from serialize() output without spawning starting ants.
+   */
+  static deserialize(data, rng) {
+    const colony = Object.create(Colony.prototype);
+    const { queenId, ants, underground, ...fields } = data;
+    Object.assign(colony, structuredClone(fields));
+    colony.foodCollected ??= 0;     // Saves from before the counter existed
+    colony.faction ??= colony.id;   // …and from before founded colonies
+    colony.parentId ??= null;
+    colony.orders ??= null;
+    colony.midden ??= middenSpot(colony.nestX, colony.nestY);   // …and from before middens
+    colony.miasma ??= 0;
+    colony.rng = rng;
+    colony.ants = ants.map(a => Ant.deserialize(a, rng));
+    colony.queen = colony.ants.find(a => a.id === queenId && a.type === 'QUEEN') || null;
+    colony.underground = ColonyUnderground.deserialize(underground);
+    colony.antIndex = new SpatialHash();
+    colony.antIndex.rebuild(colony.ants);
+    return colony;
+  }
+
   /**
    * Get colony statistics for HUD/UI.
    */
   getStats() {
-    const workerCount = this.ants.filter(a => a.type === 'WORKER' && !a.isDead).length;
-    const soldierCount = this.ants.filter(a => a.type === 'SOLDIER' && !a.isDead).length;
+    const castes = Object.fromEntries(casteTypes().map(t => [t, 0]));
+    const ageStages = Object.fromEntries(CONFIG.AGE_STAGES.map(s => [s.id, 0]));
+    for (const ant of this.ants) {
+      if (ant.isDead) continue;
+      if (ant.type in castes) castes[ant.type]++;
+      const stage = ant.lifeStage;
+      if (stage) ageStages[stage.id]++;
+    }
     return {
       totalAnts: this.ants.length,
-      workers: workerCount,
-      soldiers: soldierCount,
+      workers: castes.WORKER,
+      soldiers: castes.SOLDIER,
+      castes,                        // Live count per CONFIG.CASTES key
+      ageStages,                     // Live count per CONFIG.AGE_STAGES id (polyethic castes)
       food: Math.floor(this.foodAmount),
+      foodCapacity: this.getFoodCapacity(),
+      hungry: this.ants.filter(a => !a.isDead && a.energy < CONFIG.ANT_HUNGRY_ENERGY).length,
+      wounded: this.ants.filter(a => !a.isDead && a.state === 'WOUNDED').length,
+      corpsesNearNest: this.miasma,
+      buildings: this.getBuildingBonuses(),
+      foodCollected: Math.floor(this.foodCollected),
       eggs: this.eggQueue.length,
       larvae: this.larvaQueue.length,
       pupae: this.pupaQueue.length,
-      queenHealth: this.queen ? this.queen.health : 0,
-      queenMaxHealth: CONFIG.QUEEN_HEALTH,
+      queenHealth: this.queen ? Math.max(0, Math.ceil(this.queen.health)) : 0,
+      queenMaxHealth: getCaste('QUEEN').health,
     };
   }
 }
@@ -0,0 +1,136 @@
+import CONFIG from './config.js';
+
+/**
+ * Combat resolution shared by AI ants (Ant._attackEnemy / _wrestle) and the
+ * hero's bite command (commands.js).
+ *
+ *   Armour   — caste `armor` is the share of damage shrugged off
+ *   Flanking — each ally already fighting next to the target adds
+ *              FLANK_BONUS to a bite, up to FLANK_MAX_BONUS
+ *   Acid     — castes with `acid` spray formic acid in a cone ahead of them;
+ *              damage falls off with distance and ignores some armour
+ *   Grapple  — a bite may lock attacker and target together (chance = the
+ *              attacker's caste `grip`); neither moves until one breaks free
+ *   Morale   — a hit that leaves an ant below its caste's `morale` share of
+ *              health routs it: it runs home (FLEEING) and calms down there
+ *   Injuries — below CONFIG.INJURIES health shares an ant is slowed, then
+ *              crippled, until it heals in the nest
+ *
+ * Ants on both sides of a grapple hold `grapple = { colonyId, antId }` of the
+ * other, so locks survive save/load as plain data.
+ */
+
+/**
+ * CONFIG.INJURIES entry for an ant's current health, or null if unhurt.
+ */
+export function injuryOf(ant) {
+  const share = ant.health / ant.maxHealth;
+  return CONFIG.INJURIES.find(injury => share < injury.below) || null;
+}
+
+/**
+ * Movement multiplier from an ant's injury (1 when unhurt).
+ */
+export function injurySpeed(ant) {
+  return injuryOf(ant)?.speed ?? 1;
+}
+
+/**
+ * Damage multiplier from allies of the attacker already fighting close to
+ * the target.
+ * @param {Colony} allies - the attacker's colony
+ */
+export function flankMultiplier(attacker, target, allies) {
+  let flankers = 0;
+  allies.antIndex.forEachInRadius(target.x, target.y, CONFIG.FLANK_RADIUS, ant => {
+    if (ant !== attacker && !ant.isDead && ant.state === 'FIGHTING') flankers++;
+  });
+  return 1 + Math.min(CONFIG.FLANK_MAX_BONUS, flankers * CONFIG.FLANK_BONUS);
+}
+
+/**
+ * Rout an ant whose health has dropped below its caste's morale threshold.
+ * Ants held in a grapple, the hero and queens stand their ground.
+ * @returns {boolean} true if it broke and ran
+ */
+export function checkMorale(ant) {
+  if (ant.grapple || ant.isPlayerControlled || ant.caste.behavior === 'QUEEN') return false;
+  if (ant.health >= ant.maxHealth * ant.caste.morale) return false;
+  ant.state = 'FLEEING';
+  ant.stateTimer = CONFIG.MORALE_CALM_TICKS;
+  ant.dragFood = -1;
+  return true;
+}
+
+/**
+ * Deal raw damage to an ant through its armour, then kill or maybe rout it.
+ * @param {number} [pierce] - share of the armour ignored (acid)
+ * @returns {boolean} true if the ant died
+ */
+export function applyDamage(target, amount, pierce = 0) {
+  target.health -= amount * (1 - target.caste.armor * (1 - pierce));
+  target.hitFlash = 10;
+  if (target.health <= 0) {
+    target.isDead = true;
+    return true;
+  }
+  checkMorale(target);
+  return false;
+}
+
+/**
+ * Whether an ant can be locked in a new grapple.
+ */
+function canGrapple(ant) {
+  return !ant.grapple && !ant.isPlayerControlled && ant.caste.behavior !== 'QUEEN';
+}
+
+/**
+ * One bite: base damage × flanking, through the target's armour. A bite
+ * that doesn't kill may start a grapple. Resets the attacker's bite cooldown.
+ * @param {Colony} allies - the attacker's colony (for flanking)
+ * @param {SeededRandom} rng
+ * @param {number} [damage] - base damage (default: the attacker's caste's)
+ * @returns {boolean} true if the target died
+ */
+export function resolveBite(attacker, target, allies, rng, damage = attacker.caste.damage) {
+  attacker.biteCooldown = CONFIG.BITE_COOLDOWN;
+  if (applyDamage(target, damage * flankMultiplier(attacker, target, allies))) {
+    attacker.entsKilled++;
+    return true;
+  }
+  const grip = attacker.caste.grip;
+  if (grip > 0 && canGrapple(attacker) && canGrapple(target) && rng.next() < grip) {
+    attacker.grapple = { colonyId: target.colonyId, antId: target.id };
+    target.grapple = { colonyId: attacker.colonyId, antId: attacker.id };
+    attacker.state = 'FIGHTING';
+    target.state = 'FIGHTING';
+  }
+  return false;
+}
+
+/**
+ * Spray formic acid along the attacker's heading: every hostile ant within
+ * ACID_RANGE and ACID_CONE of it is hit, less the farther away it is.
+ * Resets the attacker's acid cooldown.
+ * @param {Colony[]} hostiles - colonies hostile to the attacker
+ * @returns {number} ants hit
+ */
+export function sprayAcid(attacker, hostiles) {
+  attacker.acidCooldown = CONFIG.ACID_COOLDOWN;
+  let hit = 0;
+  for (const colony of hostiles) {
+    colony.antIndex.forEachInRadius(attacker.x, attacker.y, CONFIG.ACID_RANGE, (ant, dist) => {
+      if (ant.isDead) return;
+      let off = Math.atan2(ant.y - attacker.y, ant.x - attacker.x) - attacker.angle;
+      off = Math.atan2(Math.sin(off), Math.cos(off));
+      if (Math.abs(off) > CONFIG.ACID_CONE) return;
+      const falloff = 1 - CONFIG.ACID_FALLOFF * dist / CONFIG.ACID_RANGE;
+      if (applyDamage(ant, attacker.caste.acid * falloff, CONFIG.ACID_ARMOR_PIERCE)) attacker.entsKilled++;
+      hit++;
+    });
+  }
+  return hit;
+}
+
+export default resolveBite;
@@ -0,0 +1,212 @@
+import CONFIG from './config.js';
+import { Ant, foodNutrition } from './ant.js';
+import { injurySpeed, resolveBite } from './combat.js';
+
+/**
+ * Hero ant commands.
+ *
+ * Every player input that changes simulation state goes through
+ * SimulationEngine.applyCommand() and lands here, so it can be recorded
+ * with the tick it happened on and replayed tick-exactly later.
+ *
+ * Command shapes:
+ *   { type: 'move', dx, dy, angle }   — displace hero (grid cells) and face angle
+ *   { type: 'bite' }                  — bite nearest enemy in range
+ *   { type: 'rally' }                 — drop rally pheromone
+ *   { type: 'underground', inside }   — enter (true) / exit (false) the nest
+ *   { type: 'pause' }                 — toggle pause
+ *   { type: 'speed', level }          — set overhead speed level
+ */
+
+export const HERO_ANT_ID = 99999;
+
+/**
+ * Spawn the hero ant (a worker) at the player nest and register it.
+ */
+export function createHeroAnt(engine) {
+  const colony = engine.playerColony;
+  const ant = new Ant(HERO_ANT_ID, 'WORKER', colony.id, colony.nestX, colony.nestY, engine.rng);
+  ant.isPlayerControlled = true;
+  ant.rallyCooldown = 0;
+  ant.movedThisTick = false;
+  colony.ants.push(ant);
+  colony.antIndex.insert(ant);
+  engine.setPlayerAnt(ant);
+  return ant;
+}
+
+/**
+ * Apply one command to the simulation.
+ * @returns {boolean} whether the command changed anything
+ */
+export function executeCommand(engine, cmd) {
+  const hero = engine.playerAnt;
+  switch (cmd.type) {
+    case 'move':
+      return hero ? _move(engine, hero, cmd) : false;
+    case 'bite':
+      return hero ? _bite(engine, hero) : false;
+    case 'rally':
+      return hero ? _rally(engine, hero) : false;
+    case 'underground':
+      if (hero && !cmd.inside) {
+        // Surface again at the nest entrance
+        hero.x = engine.playerColony.nestX;
+        hero.y = engine.playerColony.nestY;
+      }
+      return true;
+    case 'pause':
+      engine.togglePause();
+      return true;
+    case 'speed':
+      engine.setSpeedLevel(cmd.level);
+      return true;
+    default:
+      console.warn('Unknown sim command:', cmd);
+      return false;
+  }
+}
+
+/**
+ * Per-tick hero auto-behaviours (like Ant Simulator): pick up food on
+ * contact, deposit at the nest, lay a trail while carrying.
+ * Runs inside updateTick so it is part of the deterministic sim.
+ */
+export function updateHero(engine) {
+  const hero = engine.playerAnt;
+  if (!hero || hero.isDead) return;
+
+  if (hero.rallyCooldown > 0) hero.rallyCooldown--;
+
+  _autoPickupFood(engine, hero);
+  _autoDepositFood(engine, hero);
+  _heroDrag(engine, hero);
+
+  // "Food" trail guides allies back to the food source
+  if ((hero.carryingFood > 0 || hero.cropFood > 0) && hero.movedThisTick) {
+    engine.world.depositPheromone(
+      hero.x, hero.y, hero.foodChannel,
+      CONFIG.PHEROMONE_STRENGTH_FOOD * 0.7
+    );
+  }
+  hero.movedThisTick = false;
+}
+
+function _move(engine, hero, { dx = 0, dy = 0, angle }) {
+  if (dx !== 0 || dy !== 0) {
+    const world = engine.world;
+    // Twigs, slopes and injuries slow the hero down; rock and water block (slide along them)
+    const speed = world.terrainSpeed(hero.x, hero.y, Math.atan2(dy, dx)) * injurySpeed(hero);
+    const nx = Math.max(1, Math.min(CONFIG.WORLD_WIDTH - 2, hero.x + dx * speed));
+    const ny = Math.max(1, Math.min(CONFIG.WORLD_HEIGHT - 2, hero.y + dy * speed));
+    // Hostile barricades stop the hero like any other ant (see Colony.blocksStep)
+    const blocked = engine.hostilesOf(engine.playerColony).some(colony => colony.blocksStep(hero, nx, ny));
+    const step = blocked ? { x: hero.x, y: hero.y } : world.resolveMove(hero.x, hero.y, nx, ny);
+    hero.movedThisTick = step.x !== hero.x || step.y !== hero.y;
+    hero.x = step.x;
+    hero.y = step.y;
+  }
+  if (angle !== undefined) hero.angle = angle;
+  return true;
+}
+
+function _bite(engine, hero) {
+  if (hero.biteCooldown > 0) return false;
+
+  // Find nearest enemy (of any hostile colony) within bite range
+  let target = null;
+  let range = CONFIG.BITE_RANGE;
+  for (const colony of engine.hostilesOf(engine.playerColony)) {
+    const candidate = colony.antIndex.nearest(hero.x, hero.y, range, enemy => !enemy.isDead);
+    if (candidate) {
+      target = candidate;
+      range = Math.hypot(candidate.x - hero.x, candidate.y - hero.y);
+    }
+  }
+  if (!target) return false;
+
+  // Same resolver as AI ants: armour, flanking allies, grapples, routs
+  resolveBite(hero, target, engine.playerColony, engine.rng, CONFIG.PLAYER_BITE_DAMAGE);
+  // Alarm pheromone summons allies
+  engine.world.depositPheromone(hero.x, hero.y, hero.alarmChannel, CONFIG.ALARM_PHEROMONE_STRENGTH);
+  return true;
+}
+
+function _rally(engine, hero) {
+  if (hero.rallyCooldown > 0) return false;
+  engine.world.depositPheromone(
+    hero.x, hero.y, hero.foodChannel,
+    CONFIG.PLAYER_PHEROMONE_RALLY_STRENGTH
+  );
+  hero.rallyCooldown = CONFIG.PLAYER_RALLY_COOLDOWN;
+  return true;
+}
+
+function _autoPickupFood(engine, hero) {
+  if (hero.carryingFood > 0 || hero.dragFood >= 0) return;
+
+  const world = engine.world;
+  const nearby = world.findFoodNear(hero.x, hero.y, 1.5);
+  if (!nearby) return;
+  if (world.carriersNeeded(nearby) > 1) {
+    // Join (or start) a group carry
+    hero.dragFood = world.foodPatches.indexOf(nearby);
+    hero.state = 'DRAGGING';
+    return;
+  }
+  // Liquid food is drunk into the crop, as by any forager (see Ant._forage)
+  const liquid = CONFIG.FOOD_TYPES[nearby.type]?.liquid;
+  const taken = liquid
+    ? Math.min(nearby.amount, Math.max(0, CONFIG.CROP_CAPACITY - hero.cropFood) / foodNutrition(nearby.type))
+    : Math.min(CONFIG.FOOD_CARRY_CAPACITY, nearby.amount);
+  if (taken <= 0) return;
+  nearby.amount -= taken;
+  if (liquid) {
+    hero.crop[nearby.type] = (hero.crop[nearby.type] || 0) + taken;
+  } else {
+    hero.carryingFood = taken;
+    hero.carryingType = nearby.type;
+  }
+  hero.state = 'CARRYING';
+}
+
+/**
+ * While the hero stays with a heavy item it pulls toward the nest like
+ * any carrier; walking away lets go. Delivers it at the nest.
+ */
+function _heroDrag(engine, hero) {
+  if (hero.dragFood < 0) return;
+  const world = engine.world;
+  const colony = engine.playerColony;
+  const food = world.foodPatches[hero.dragFood];
+  if (!food || food.amount <= 0 ||
+      Math.hypot(food.x - hero.x, food.y - hero.y) > CONFIG.FOOD_DRAG_RADIUS + 1.5) {
+    hero.dragFood = -1;
+    hero.state = 'WANDERING';
+    return;
+  }
+  if (Math.hypot(food.x - colony.nestX, food.y - colony.nestY) < CONFIG.NEST_RADIUS) {
+    colony.depositFood(food.amount * foodNutrition(food.type));
+    food.amount = 0;
+    hero.foodDeposited++;
+    hero.dragFood = -1;
+    hero.state = 'WANDERING';
+    return;
+  }
+  world.pullFood(food, colony.nestX, colony.nestY);
+}
+
+function _autoDepositFood(engine, hero) {
+  if (hero.carryingFood <= 0 && hero.cropFood <= 0) return;
+
+  const colony = engine.playerColony;
+  const distToNest = Math.hypot(hero.x - colony.nestX, hero.y - colony.nestY);
+  if (distToNest < CONFIG.NEST_RADIUS) {
+    // Mandibles and crop both empty into the stores
+    colony.depositFood(hero.carryingFood * foodNutrition(hero.carryingType) + hero._drawCrop(hero.cropFood));
+    hero.foodDeposited++;
+    hero.carryingFood = 0;
+    hero.carryingType = null;
+    hero.state = 'WANDERING';
+  }
+}
@@ -6,19 +6,87 @@ const CONFIG = {
   // === SIMULATION TIMING ===
   TICKS_PER_SECOND: 30,        // Main sim runs at 30 ticks/sec (slow relaxed pace, 2.5× slower than original 180)
   SPEED_LEVELS: [1, 2, 4, 8],  // Speed multipliers for overhead view; FPS view always locked to 1×
+  RANDOM_SEED: null,           // Fixed sim seed for reproducible matches; null = new random seed each run
+  REPLAY_CHECKPOINT_INTERVAL: 600, // Ticks between replay state checkpoints (jump-to-tick granularity)
+
+  // === DAY / NIGHT ===
+  DAY_LENGTH_TICKS: 9000,      // One full day (5 min at 30 ticks/sec)
+  DAY_START_TIME: 0.3,         // Time of day at tick 0 (0 = midnight, 0.5 = noon) — ≈07:12
+  NIGHT_ACTIVITY: 0.3,         // Ant activity at darkest night (1 = daytime); drives how many foragers turn in
+  NIGHT_SPEED: 0.6,            // Ant movement multiplier at darkest night
+  NIGHT_HOMING_BOOST: 2,       // Carriers' ANT_HOMING_BIAS grows by up to this factor at night
+  ANT_REST_CHANCE: 0.003,      // Per tick chance an idle forager turns in, × (1 − activity)
+  ANT_WAKE_CHANCE: 0.003,      // Per tick chance a resting ant heads back out, × activity
+
+  // === SEASONS ===
+  // Cycle in this order, SEASON_LENGTH_DAYS each. Multipliers:
+  //   foodRespawn → FOOD_RESPAWN_CHANCE, foodAmount → FOOD_PER_CLUSTER (new and regrown patches),
+  //   eggInterval → QUEEN_EGG_LAYING_INTERVAL, activity → ant activity (day/night level),
+  //   upkeep → caste energyDrain (how fast ants burn energy, and so eat from the stores)
+  SEASONS: [
+    { id: 'SPRING', name: 'Spring', foodRespawn: 1.5, foodAmount: 1.2, eggInterval: 0.8, activity: 1,   upkeep: 0.25 },
+    { id: 'SUMMER', name: 'Summer', foodRespawn: 1,   foodAmount: 1,   eggInterval: 1,   activity: 1,   upkeep: 0.25 },
+    { id: 'AUTUMN', name: 'Autumn', foodRespawn: 0.4, foodAmount: 0.7, eggInterval: 1.5, activity: 0.8, upkeep: 0.3 },
+    { id: 'WINTER', name: 'Winter', foodRespawn: 0,   foodAmount: 0.4, eggInterval: 4,   activity: 0.2, upkeep: 0.3 },
+  ],
+  SEASON_LENGTH_DAYS: 3,       // Days per season (a year = 4 × this)
+  SEASON_START: 0,             // Index into SEASONS the match starts in
   
   // === WORLD GRID ===
   WORLD_WIDTH: 400,            // Grid width in cells (big world)
   WORLD_HEIGHT: 300,           // Grid height in cells
   WORLD_SIZE_3D: 240,          // 3D world size in units (400 cells × 0.6)
   CELL_SIZE: 0.6,              // 3D units per grid cell
+  SPATIAL_CELL_SIZE: 10,       // Spatial hash bucket size in grid cells (≈ enemy detect range)
   
   // === NEST & COLONIES ===
-  PLAYER_COLONY_NEST_X: 50,    // Player (black) colony nest grid X
-  PLAYER_COLONY_NEST_Y: 150,   // Player (black) colony nest grid Y
-  ENEMY_COLONY_NEST_X: 350,    // Enemy (red) colony nest grid X
-  ENEMY_COLONY_NEST_Y: 150,    // Enemy (red) colony nest grid Y
   NEST_RADIUS: 8,              // Nest entrance radius in cells
+  // Maps: one starting colony per nest (grid cells); nest i plays for faction i,
+  // so nest 0 is always the player and nest 1 "the enemy" of the HUD. Different
+  // factions fight unless `alliances` lists the pair. Pick with ?map=ID / --map ID.
+  MAPS: {
+    DUEL: {
+      name: 'Duel',
+      nests: [{ x: 50, y: 150 }, { x: 350, y: 150 }],
+    },
+    FFA3: {
+      name: 'Free-for-all (3)',
+      nests: [{ x: 60, y: 150 }, { x: 330, y: 60 }, { x: 330, y: 240 }],
+    },
+    FFA4: {
+      name: 'Free-for-all (4)',
+      nests: [{ x: 60, y: 60 }, { x: 340, y: 240 }, { x: 340, y: 60 }, { x: 60, y: 240 }],
+    },
+    FFA6: {
+      name: 'Free-for-all (6)',
+      nests: [
+        { x: 50, y: 75 }, { x: 350, y: 225 }, { x: 200, y: 40 },
+        { x: 200, y: 260 }, { x: 50, y: 225 }, { x: 350, y: 75 },
+      ],
+    },
+    TEAMS: {
+      name: 'Two against two',
+      nests: [{ x: 60, y: 60 }, { x: 340, y: 240 }, { x: 60, y: 240 }, { x: 340, y: 60 }],
+      alliances: [[0, 2], [1, 3]],
+    },
+  },
+  DEFAULT_MAP: 'DUEL',
+  // Per faction (index = faction id): HUD name, 2D colours (nest ring, nest fill
+  // RGB, minimap dot) and 3D colours (nest ring, ant body and head chitin)
+  FACTIONS: [
+    { name: 'Black', nest: '#00ff88', fill: '0, 255, 100', dot: '#33ff33',
+      ring: 0x00cc44, ringEmissive: 0x004411, body: 0x1a1a1e, bodyEmissive: 0x050508, chitin: 0x151518 },
+    { name: 'Red', nest: '#ff4444', fill: '255, 50, 50', dot: '#ff3322',
+      ring: 0xcc3333, ringEmissive: 0x441111, body: 0x6b1c00, bodyEmissive: 0x2a0600, chitin: 0x5a1800 },
+    { name: 'Yellow', nest: '#ffdd33', fill: '255, 220, 50', dot: '#ffee44',
+      ring: 0xccaa22, ringEmissive: 0x443a08, body: 0x9a7a22, bodyEmissive: 0x2a2006, chitin: 0x86681a },
+    { name: 'Blue', nest: '#44aaff', fill: '60, 160, 255', dot: '#55bbff',
+      ring: 0x3388cc, ringEmissive: 0x0c2a44, body: 0x1c2a4a, bodyEmissive: 0x060a18, chitin: 0x16223c },
+    { name: 'Purple', nest: '#cc66ff', fill: '200, 100, 255', dot: '#dd88ff',
+      ring: 0x9944cc, ringEmissive: 0x301444, body: 0x3a1c4a, bodyEmissive: 0x12061a, chitin: 0x30163e },
+    { name: 'White', nest: '#eeeeee', fill: '230, 230, 230', dot: '#ffffff',
+      ring: 0xbbbbbb, ringEmissive: 0x333333, body: 0x8a8478, bodyEmissive: 0x1a1816, chitin: 0x767066 },
+  ],
   
   // === ANT COUNTS ===
   INITIAL_WORKERS: 20,
@@ -28,10 +96,58 @@ const CONFIG = {
   // === FOOD & RESOURCES ===
   FOOD_CLUSTERS: 40,            // Number of food patches on map (scaled for bigger world)
   FOOD_PER_CLUSTER: 120,        // Food units per patch
-  FOOD_CARRY_CAPACITY: 1,      // How much one ant can carry
-  FOOD_DEPOT_CAPACITY: 1000,   // Max food colony can store
+  FOOD_CARRY_CAPACITY: 1,      // How much one ant can carry (weight units)
+  // Food item types. weight = load per unit (above FOOD_CARRY_CAPACITY needs a group
+  // to drag it), nutrition = colony food per unit delivered, patchScale = units per
+  // patch as a fraction of FOOD_PER_CLUSTER (min 1), spawnWeight = share of patches,
+  // liquid = drunk into the crop (CROP_CAPACITY) rather than carried
+  FOOD_TYPES: {
+    SEED:   { name: 'Seed',        weight: 1, nutrition: 1,  patchScale: 1,   spawnWeight: 0.5 },
+    SUGAR:  { name: 'Sugar drop',  weight: 1, nutrition: 2,  patchScale: 0.5, spawnWeight: 0.3, liquid: true },
+    INSECT: { name: 'Dead insect', weight: 4, nutrition: 40, patchScale: 0,   spawnWeight: 0.2 },
+    CORPSE: { name: 'Dead ant',    weight: 1, nutrition: 6,  patchScale: 0,   spawnWeight: 0 },  // Never spawns: scavenged from World.corpses
+  },
+  FOOD_DRAG_SPEED: 0.4,        // Heavy item speed as a fraction of ANT_SPEED once enough ants grip it
+  FOOD_DRAG_RADIUS: 0.8,       // Carriers hold on this far (cells) from the item's centre
+  FOOD_DRAG_PATIENCE: 400,     // Ticks an ant waits on an item that won't budge (and no one joins) before going home to recruit
+  FOOD_DEPOT_CAPACITY: 1000,   // Max food colony can store (deliveries beyond it spoil)
+  FOOD_STORE_CAPACITY_BONUS: 500, // Extra capacity per built food store chamber
   FOOD_RESPAWN_CHANCE: 0.0005, // Chance per tick of a depleted patch respawning
+  FOOD_MAX_SLOPE: 0.05,        // Food never spawns on steeper ground (rise per 3D unit)
+  FOOD_VALLEY_PREFERENCE: 0.65, // 0 = anywhere, 1 = strongly favour hollows (seeds and fruit roll downhill)
   
+  // === WEATHER ===
+  // Next-state weights when a weather spell ends (see WEATHER in weather.js)
+  WEATHER_TRANSITIONS: {
+    CLEAR:    { OVERCAST: 1 },
+    OVERCAST: { CLEAR: 0.5, RAIN: 0.4, STORM: 0.1 },
+    RAIN:     { OVERCAST: 0.6, CLEAR: 0.2, STORM: 0.2 },
+    STORM:    { RAIN: 0.7, OVERCAST: 0.3 },
+  },
+  WEATHER_RAMP_TICKS: 600,     // Ticks for cloud/rain to ease fully in or out
+  RAIN_PHEROMONE_WASHOUT: 0.01, // Extra evaporation per tick at full storm (trail rate × (1 − this × rain))
+  RAIN_FLOOD_MAX: 0.3,         // Fraction of the terrain height range a full storm floods (lowest ground first)
+  FLOOD_RISE_RATE: 0.0002,     // Flood level rise per tick at full rain
+  FLOOD_RECEDE_RATE: 0.0001,   // Flood level fall per tick once rain eases
+  FLOOD_SPEED: 0.4,            // Movement multiplier wading through flooded ground
+  FLOOD_PHEROMONE_WASHOUT: 0.9, // Pheromone multiplier per tick on flooded cells
+
+  // === TERRAIN ===
+  TERRAIN_AMPLITUDE: 1,            // Height scale of the rolling hills (3D units)
+  TERRAIN_UPHILL_PENALTY: 4,       // Speed lost per unit of grade when climbing (grade 0.1 → −40%)
+  TERRAIN_DOWNHILL_BONUS: 1.5,     // Speed gained per unit of grade when descending
+  TERRAIN_SLOPE_SPEED_RANGE: [0.5, 1.2], // Clamp for the slope speed multiplier
+
+  // === OBSTACLES ===
+  OBSTACLE_ROCKS: 30,              // Boulders — impassable
+  OBSTACLE_ROCK_RADIUS: [1.5, 4],  // Min/max radius in cells
+  OBSTACLE_TWIGS: 25,              // Fallen twigs — passable but slow to clamber over
+  OBSTACLE_TWIG_LENGTH: [6, 16],   // Min/max length in cells
+  OBSTACLE_TWIG_PASSABILITY: 0.35, // Speed multiplier while on a twig
+  OBSTACLE_PUDDLES: 8,             // Water — impassable
+  OBSTACLE_PUDDLE_RADIUS: [3, 7],  // Min/max radius in cells
+  OBSTACLE_PROBE_RANGE: 2.5,       // Cells ahead an ant checks for obstacles to steer around
+
   // === ANT BEHAVIOR: MOVEMENT ===
   ANT_SPEED: 0.15,             // Grid cells per tick — slow for big world (ant-scale feeling)
   ANT_ROTATION_SPEED: 0.12,    // Radians per tick for turning
@@ -39,46 +155,245 @@ const CONFIG = {
   ANT_TURN_MAX: 0.4,           // Max pheromone steer adjustment per tick (radians)
   ANT_WANDER_PROBABILITY: 0.5,  // Probability of ignoring pheromone trail (natural variation)
   
+  // === CASTES ===
+  // Per-caste stats, behaviour and looks (see castes.js). behavior:
+  //   FORAGE — wander, follow food trails, carry food home; rests at night if `rests`
+  //   GUARD  — forages too, but never strays beyond 5 × NEST_RADIUS
+  //   NURSE  — stays inside the nest
+  //   QUEEN  — wanders slowly inside the nest and lays eggs
+  //   DIG    — (age stage only) digs queued tunnels/chambers inside the nest, else forages
+  //   ALATE  — winged queen or male: waits in the nest for a nuptial flight
+  // speed/chargeSpeed × ANT_SPEED (chargeSpeed = closing on an enemy),
+  // senseRange × enemy, pheromone and alarm sensing ranges, energyDrain per tick
+  // at season upkeep 1, alarmResponse = chance of answering an alarm,
+  // armor = share of damage shrugged off, acid = formic-acid spray damage (0 = can't
+  // spray), grip = chance a bite locks the target in a grapple, morale = health share
+  // below which a hit routs the ant (see combat.js),
+  // broodWeight = share of the queen's eggs, lifespan × ANT_LIFESPAN_TICKS
+  // (0 = never dies of age), polyethism = behaviour follows AGE_STAGES
+  // instead of `behavior`, mesh.body = which body plan createAntMesh builds
+  // (WORKER, SOLDIER, QUEEN) at mesh.scale (with wings if mesh.wings), colors = HUD / strategy view
+  // colour for [player, enemy] (other factions use their FACTIONS dot colour)
+  CASTES: {
+    WORKER: {
+      name: 'Worker', abbr: 'W', behavior: 'FORAGE', rests: true,
+      health: 8, damage: 1, speed: 1, chargeSpeed: 1, senseRange: 1,
+      armor: 0.1, acid: 0.6, grip: 0.1, morale: 0.4,
+      energyDrain: 0.015, alarmResponse: 0.4, broodWeight: 0.65,
+      lifespan: 1, polyethism: true,
+      mesh: { body: 'WORKER', scale: 0.65 }, colors: ['#22cc22', '#ff2222'],
+    },
+    SOLDIER: {
+      name: 'Soldier', abbr: 'S', behavior: 'GUARD', rests: false,
+      health: 15, damage: 2, speed: 1, chargeSpeed: 1.3, senseRange: 1,
+      armor: 0.3, acid: 0, grip: 0.35, morale: 0.15,
+      energyDrain: 0.025, alarmResponse: 0.9, broodWeight: 0.15,
+      lifespan: 1, polyethism: false,
+      mesh: { body: 'SOLDIER', scale: 0.85 }, colors: ['#44ff44', '#ff4444'],
+    },
+    SCOUT: {
+      name: 'Scout', abbr: 'Sc', behavior: 'FORAGE', rests: true,
+      health: 6, damage: 0.5, speed: 1.4, chargeSpeed: 1, senseRange: 1.8,
+      armor: 0, acid: 0.4, grip: 0, morale: 0.6,
+      energyDrain: 0.02, alarmResponse: 0.2, broodWeight: 0.08,
+      lifespan: 0.7, polyethism: false,
+      mesh: { body: 'WORKER', scale: 0.55 }, colors: ['#33cccc', '#ff9933'],
+    },
+    NURSE: {
+      name: 'Nurse', abbr: 'N', behavior: 'NURSE', rests: false,
+      health: 6, damage: 0.5, speed: 0.8, chargeSpeed: 1, senseRange: 1,
+      armor: 0, acid: 0, grip: 0, morale: 0.5,
+      energyDrain: 0.01, alarmResponse: 0, broodWeight: 0.07,
+      lifespan: 1, polyethism: false,
+      mesh: { body: 'WORKER', scale: 0.5 }, colors: ['#bbee88', '#ffaacc'],
+    },
+    MAJOR: {
+      name: 'Major', abbr: 'M', behavior: 'GUARD', rests: false,
+      health: 25, damage: 4, speed: 0.6, chargeSpeed: 0.8, senseRange: 0.8,
+      armor: 0.5, acid: 0, grip: 0.6, morale: 0,
+      energyDrain: 0.04, alarmResponse: 0.95, broodWeight: 0.05,
+      lifespan: 1.2, polyethism: false,
+      mesh: { body: 'SOLDIER', scale: 1.05 }, colors: ['#119955', '#cc1144'],
+    },
+    QUEEN: {
+      name: 'Queen', abbr: 'Q', behavior: 'QUEEN', rests: false,
+      health: 100, damage: 1, speed: 0.3, chargeSpeed: 1, senseRange: 1,
+      armor: 0.4, acid: 0, grip: 0, morale: 0,
+      energyDrain: 0.05, alarmResponse: 0, broodWeight: 0,
+      lifespan: 0, polyethism: false,
+      mesh: { body: 'QUEEN', scale: 1.4 }, colors: ['#88ffaa', '#ff8888'],
+    },
+    GYNE: {
+      name: 'Winged queen', abbr: 'Gy', behavior: 'ALATE', rests: false,
+      health: 12, damage: 0.5, speed: 0.5, chargeSpeed: 1, senseRange: 1,
+      armor: 0.1, acid: 0, grip: 0, morale: 0.5,
+      energyDrain: 0.02, alarmResponse: 0, broodWeight: 0,
+      lifespan: 1, polyethism: false,
+      mesh: { body: 'QUEEN', scale: 0.9, wings: true }, colors: ['#eeffcc', '#ffd0a0'],
+    },
+    DRONE: {
+      name: 'Male', abbr: 'Dr', behavior: 'ALATE', rests: false,
+      health: 4, damage: 0, speed: 0.8, chargeSpeed: 1, senseRange: 1,
+      armor: 0, acid: 0, grip: 0, morale: 0.8,
+      energyDrain: 0.015, alarmResponse: 0, broodWeight: 0,
+      lifespan: 0.5, polyethism: false,
+      mesh: { body: 'WORKER', scale: 0.6, wings: true }, colors: ['#99bbaa', '#bb9988'],
+    },
+  },
+
+  // === AI DIRECTOR ===
+  // Colony-level strategy for every colony but the player's (src/sim/director.js)
+  DIRECTOR_INTERVAL: 120,      // Ticks between re-plans
+  DIRECTOR_SCOUT_RANGE: 20,    // A nest or food item this close to one of our ants is "known"
+  DIRECTOR_THREAT_RADIUS: 40,  // Hostile ants this close to our nest count as a threat
+  DIRECTOR_REGION_SIZE: 50,    // Food knowledge is kept per square region of this many cells
+  DIRECTOR_RAID_MIN_FOOD: 60,  // Stores needed before sending the army out
+  DIRECTOR_TURTLE_RADIUS: 30,  // While turtling, foragers stay this close to the nest
+  DIRECTOR_RALLY_RADIUS: 6,    // Raiders mill about this close to the raided nest
+  // Difficulty presets, picked at match start. soldierShare = fighters (GUARD castes)
+  // per adult it breeds toward, turtleThreat = hostile ants near the nest that make
+  // it dig in, raidArmy = fighters needed to raid (0 = never), raidAdvantage = our
+  // fighters per defender seen at the target, raidRetreat = share of the raiding
+  // army lost before calling it off, contestFood = forage where hostiles are too
+  AI_DIFFICULTY: {
+    PASSIVE: {
+      name: 'Passive', soldierShare: 0.1, turtleThreat: 3,
+      raidArmy: 0, raidAdvantage: 3, raidRetreat: 0.3, contestFood: false,
+    },
+    BALANCED: {
+      name: 'Balanced', soldierShare: 0.2, turtleThreat: 6,
+      raidArmy: 25, raidAdvantage: 1.5, raidRetreat: 0.5, contestFood: true,
+    },
+    AGGRESSIVE: {
+      name: 'Aggressive', soldierShare: 0.3, turtleThreat: 10,
+      raidArmy: 15, raidAdvantage: 1, raidRetreat: 0.7, contestFood: true,
+    },
+  },
+  DEFAULT_AI_DIFFICULTY: 'BALANCED',
+
+  // === ALATES & NUPTIAL FLIGHTS ===
+  ALATE_SEASONS: ['SPRING', 'SUMMER'], // Seasons a mature colony raises alates (GYNE / DRONE castes)
+  ALATE_MIN_COLONY_SIZE: 80,   // Adults before a colony spends eggs on alates
+  ALATE_MIN_FOOD: 200,         // Stores needed to lay an alate egg
+  ALATE_EGG_CHANCE: 0.15,      // Share of eggs that become alates while the colony qualifies
+  ALATE_GYNE_SHARE: 0.35,      // Of those, new queens (the rest are males)
+  ALATE_EGG_COST: 15,          // Food per alate egg (workers cost 5)
+  ALATES_MAX: 12,              // Alates (adult + brood) a colony raises at once — even when at MAX_ANTS_PER_COLONY
+  NUPTIAL_SEASONS: ['SUMMER'], // Flights only happen in these seasons…
+  NUPTIAL_TIME: 0.6,           // …at this time of day (≈14:24, a warm afternoon)…
+  NUPTIAL_MAX_RAIN: 0.1,       // …when it's dry, and at least one queen and one male are ready
+  NUPTIAL_SURVIVAL: 0.35,      // Chance a mated queen survives the flight and lands
+  NUPTIAL_FLIGHT_RANGE: [40, 140], // Cells from her home nest a queen lands
+  NEST_MIN_SPACING: 50,        // New nests keep at least this far from every other nest
+  FOUNDING_FOOD: 100,          // Fat reserves a new queen founds her nest with
+  MAX_COLONIES: 8,             // No more founding once this many colonies are alive
+
   // === ANT BEHAVIOR: COMBAT ===
-  SOLDIER_DAMAGE: 2,
-  WORKER_DAMAGE: 1,
-  WORKER_HEALTH: 8,
-  SOLDIER_HEALTH: 15,
-  QUEEN_HEALTH: 100,
   BITE_COOLDOWN: 10,           // Ticks between bites
   BITE_RANGE: 1.5,             // Grid cells
+  FLANK_RADIUS: 2.5,           // Allies fighting this close to a bite's target are flanking it…
+  FLANK_BONUS: 0.25,           // …each adding this share to the bite's damage…
+  FLANK_MAX_BONUS: 1,          // …up to this much extra
+  ACID_RANGE: 5,               // Formic-acid spray reach (grid cells)
+  ACID_CONE: 0.4,              // Half-angle of the spray cone (radians)
+  ACID_COOLDOWN: 60,           // Ticks between sprays
+  ACID_FALLOFF: 0.7,           // Share of spray damage lost at full range (linear)
+  ACID_ARMOR_PIERCE: 0.5,      // Share of the target's armour acid ignores
+  GRAPPLE_RANGE: 2,            // A grapple breaks if the two ants end up farther apart
+  GRAPPLE_ESCAPE_CHANCE: 0.04, // Per tick, × (1 − the holder's grip)
+  MORALE_CALM_TICKS: 300,      // Ticks a routed ant spends in the nest before heading out again
+
+  // === ANT BEHAVIOR: INJURIES & HEALING ===
+  // Injury states by health share (worst first): `speed` multiplies movement.
+  // Injured ants with nothing pressing to do go home (WOUNDED) and heal there.
+  INJURIES: [
+    { id: 'CRIPPLED', name: 'Crippled', below: 0.3, speed: 0.4 },
+    { id: 'SLOWED',   name: 'Slowed',   below: 0.6, speed: 0.7 },
+  ],
+  HEAL_RATE: 0.0005,           // Share of max health regained per tick inside the nest (fed ants only)
+  HEAL_DISCHARGE: 0.95,        // WOUNDED ants head out again at this share of max health
+  INFIRMARY_HEAL_BONUS: 1,     // Each built infirmary chamber adds this × HEAL_RATE
+  NURSE_HEAL_RATE: 0.002,      // Share of max health per tick a nurse tending a wounded ant adds
+  NURSE_TEND_RANGE: 1.5,       // Nurses tend wounded ants this close
+
+  // === CORPSES & MIDDEN ===
+  // Dead ants stay on the ground as corpses: foragers carry hostile colonies'
+  // dead home as food (CORPSE food type) and haul their own nestmates' off to
+  // the colony's midden (necrophoresis). Corpses left near a nest sicken it.
+  CORPSE_DECAY_TICKS: 9000,    // Corpses rot away after this long (one day)
+  CORPSE_SENSE_RANGE: 4,       // Foragers notice corpses this close (× caste senseRange)
+  CORPSE_CLEAR_RADIUS: 12,     // Own dead this close to the nest get hauled to the midden
+  MIDDEN_DISTANCE: 18,         // Midden sits this far from the nest, on the side away from the map centre
+  MIDDEN_RADIUS: 3,            // Haulers drop corpses within this of the midden
+  CORPSE_TOLERANCE: 3,         // Uncleared corpses near a nest before anyone falls ill
+  CORPSE_SICKNESS: 0.0005,     // Health lost per tick by ants in the nest, per corpse beyond the tolerance
+  CORPSE_HEAL_PENALTY: 0.15,   // Nest healing lost per uncleared corpse (share of the heal rate)
   
   // === ANT BEHAVIOR: FORAGING ===
   FOOD_SEARCH_RANGE: 10,       // How far ant can detect food
-  PHEROMONE_STRENGTH_FOOD: 100,
-  PHEROMONE_STRENGTH_HOME: 80,
+  PHEROMONE_STRENGTH_FOOD: 100, // "To food" trail laid by ants carrying food home
+  PHEROMONE_STRENGTH_HOME: 80,  // "To home" trail laid by outbound foragers
   PHEROMONE_DEPOSIT_RATE: 3,   // Every N ticks while moving
+  PHEROMONE_TRAIL_FADE: 0.998, // Deposit strength multiplier per tick since leaving nest/food — trails get stronger toward their source
+  ANT_HOMING_BIAS: 0.15,       // Carrying ants turn this fraction toward the nest per tick (path integration) on top of home-trail steering
   PHEROMONE_SENSOR_RANGE: 4,   // Cells ahead to sense pheromone
   PHEROMONE_SENSOR_SPREAD: 0.75,  // Angle spread (radians) of side sensors
   
+  // === ANT BEHAVIOR: HUNGER ===
+  ANT_MAX_ENERGY: 100,         // Full stomach (burned at each caste's energyDrain — summer worker: ~35 a day)
+  ENERGY_PER_FOOD: 100,        // Energy from one unit of colony food
+  ANT_EAT_BELOW: 70,           // Ants at the nest top up from the stores below this energy
+  ANT_HUNGRY_ENERGY: 25,       // Idle ants below this head home to eat (while the stores last)
+  ANT_STARVATION_DAMAGE: 0.005, // Health lost per tick at 0 energy
+
+  // === ANT BEHAVIOR: TROPHALLAXIS ===
+  // Foragers bring liquid food home in their crop (social stomach) and pass it
+  // on mouth to mouth: to nestmates in the nest, to soldiers met in the field,
+  // and to hungry ants that beg from them. What's left goes into the stores.
+  CROP_CAPACITY: 2,            // Colony food a crop holds (one sugar drop)
+  TROPHALLAXIS_RANGE: 1.5,     // Ants this close can share food
+  TROPHALLAXIS_RATE: 0.02,     // Colony food passed per tick of an exchange
+  TROPHALLAXIS_TICKS: 40,      // Longest single exchange
+  TROPHALLAXIS_ACCEPT_BELOW: 90, // Nestmates (and soldiers in the field) below this energy take a feed
+  TROPHALLAXIS_CHECK_INTERVAL: 5, // Ticks between looks for someone to feed or beg from
+
   // === ANT BEHAVIOR: LIFE CYCLE ===
   EGG_INCUBATION_TICKS: 300,   // Ticks for egg → larva
   LARVA_GROWTH_TICKS: 400,     // Ticks for larva → pupa
   PUPA_GROWTH_TICKS: 300,      // Ticks for pupa → adult
   QUEEN_EGG_LAYING_INTERVAL: 90, // Ticks between egg-laying (slower)
-  QUEEN_MIN_FOOD_TO_LAY: 80,   // Colony food threshold to lay eggs
-  ANT_LIFESPAN_TICKS: 12000,   // Natural death age (~6.7 min at 30 ticks/sec)
+  QUEEN_LAY_FOOD_SHARE: 0.04,  // Queen lays only while the stores hold this share of getFoodCapacity() (40 at the bare depot)
+  ANT_LIFESPAN_TICKS: 54000,   // Natural death age at caste lifespan 1 (6 days — half a year, 30 min at 30 ticks/sec)
+  // Age polyethism: jobs of castes with `polyethism`, by fraction of lifespan lived
+  AGE_STAGES: [
+    { id: 'NURSE',   name: 'Nurse',   abbr: 'N', until: 0.15, behavior: 'NURSE' },
+    { id: 'DIGGER',  name: 'Digger',  abbr: 'D', until: 0.3,  behavior: 'DIG' },
+    { id: 'FORAGER', name: 'Forager', abbr: 'F', until: 0.85, behavior: 'FORAGE' },
+    { id: 'GUARD',   name: 'Guard',   abbr: 'G', until: 1,    behavior: 'GUARD' },
+  ],
+  FOUNDING_ANT_AGE: [0.2, 0.5], // Starting ants' age as a fraction of lifespan (workers start out foraging)
+  DIG_WORK_PER_COST: 30,       // Digger-ticks inside the nest per point of BUILDING_TYPES cost
   
   // === PHEROMONE PHYSICS ===
   // Realistic logarithmic-style decay: trails persist for minutes, not seconds.
   // At 0.999 per tick (30 ticks/sec): half-life ≈ 693 ticks ≈ 23 seconds.
   // A deposit of 80 stays detectable (>1) for ~7000 ticks ≈ 3.9 minutes.
   PHEROMONE_DECAY_RATE: 0.999, // Multiplier per tick — very slow fade (logarithmic feel)
+  PHEROMONE_HOME_DECAY_RATE: 0.999, // Same for the "to home" trail
   PHEROMONE_DIFFUSION: false,  // Spatial diffusion (expensive, disabled by default)
-  PHEROMONE_CHANNELS: 4,       // 0=player food, 1=enemy food, 2=player alarm, 3=enemy alarm
+  PHEROMONE_DIFFUSION_KERNEL: 'cross', // 'cross' = 4 neighbours, 'box' = 8 neighbours (diagonals weighted less)
+  PHEROMONE_DIFFUSION_RATE_FOOD: 0.04,  // Fraction of a food-trail cell shared with neighbours per tick (blur)
+  PHEROMONE_DIFFUSION_RATE_HOME: 0.04,
+  PHEROMONE_DIFFUSION_RATE_ALARM: 0.15, // Alarm spreads faster — a plume around fights
+  PHEROMONE_DIFFUSION_INTERVAL: 1,      // Diffuse every N ticks (N ticks' worth per step; cheaper on big worlds)
+  PHEROMONE_DOWNHILL_BIAS: 8,  // Diffusion favours downhill neighbours by 1 + bias × grade (0 = even spread)
+  PHEROMONE_VALLEY_POOLING: 0.5, // Evaporation slowed by up to this fraction on valley floors (trails pool in hollows)
 
   // === ALARM PHEROMONE ===
   ALARM_PHEROMONE_STRENGTH: 200, // Deposited when fighting
   ALARM_DETECT_RANGE: 20,     // How far ants can sense alarm (grid cells)
   ALARM_DECAY_RATE: 0.995,    // Alarm decays faster than food trail
   ALARM_SENSOR_RANGE: 6,      // Probe distance for alarm 3-sensor
-  ALARM_RESPONSE_WORKER: 0.4, // Probability a worker responds to alarm (vs. keeps foraging)
-  ALARM_RESPONSE_SOLDIER: 0.9,// Probability a soldier responds to alarm
   
   // === BUILDINGS ===
   BUILDING_TYPES: {
@@ -88,7 +403,17 @@ const CONFIG = {
     NURSERY: { cost: 25, name: 'Nursery', bonus: 'egg_hatch_speed' },
     BARRICADE: { cost: 12, name: 'Barricade', bonus: 'blocks_enemy' },
     BEACON: { cost: 18, name: 'Beacon', bonus: 'visibility_range' },
+    INFIRMARY: { cost: 20, name: 'Infirmary', bonus: 'heal_speed' },
   },
+  // What built nodes in a colony's ColonyUnderground do (food stores: see
+  // FOOD_STORE_CAPACITY_BONUS, infirmaries: INFIRMARY_HEAL_BONUS)
+  NURSERY_BROOD_BONUS: 0.25,   // Each nursery speeds egg incubation and larval growth by this share
+  TUNNEL_SPEED_BONUS: 0.1,     // Each tunnel beyond the starter one speeds movement underground by this share
+  TUNNEL_SPEED_MAX: 2,         // …up to this multiple
+  BARRICADE_RADIUS: 2.5,       // Hostile ants can't step this close to a barricaded entrance
+  BARRICADE_STRENGTH: 6000,    // Steps blocked while fighting or raiding wear a barricade down by the ant's caste damage; broken ones are dug again
+  BEACON_SIGHT_BONUS: 0.5,     // Each beacon extends how far ants near the nest spot enemies by this share
+  BEACON_SIGHT_RADIUS: 40,     // …for ants within this of the nest (also widens the AI director's threat watch)
   
   // === PLAYER HERO ANT ===
   PLAYER_BITE_DAMAGE: 4,       // Slightly higher than soldier
@@ -111,6 +436,7 @@ const CONFIG = {
   FOG_NEAR: 1,
   FOG_FAR: 500,
   FOG_COLOR: 0x87ceeb,         // Sky blue
+  FOG_NIGHT_COLOR: 0x0b1026,   // Night sky / fog
   FOG_GROUND_COLOR: 0x4a7c59,  // Green
 };
 
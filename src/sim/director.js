@@ -0,0 +1,258 @@
+import CONFIG from './config.js';
+
+/**
+ * Colony-level strategy for computer-controlled colonies.
+ *
+ * Every DIRECTOR_INTERVAL ticks a director looks at what its colony knows —
+ * its own ants, the hostile nests and food its ants have come near
+ * (scouting), and hostile ants near its own nest (threat) — and writes
+ * `colony.orders`, which the colony and its ants act on:
+ *   posture      — GROW (forage and breed), TURTLE (breed fighters, forage
+ *                  close to home), SCOUT (fighters explore toward `rally`
+ *                  to find a nest to raid) or RAID (fighters march on `rally`)
+ *   broodWeights — caste → weight overrides for the queen's eggs
+ *   rally        — { x, y, colonyId } of the nest being raided (colonyId
+ *                  null while scouting), or null
+ *   forage       — { x, y } centre of a food region to contest, or null
+ *
+ * How eager it is to fight comes from a CONFIG.AI_DIFFICULTY preset.
+ * Directors draw no random numbers, so they don't disturb the sim's RNG
+ * sequence and replays stay deterministic.
+ */
+export class ColonyDirector {
+  /**
+   * @param {number} colonyId - colony this director runs
+   * @param {string} difficulty - CONFIG.AI_DIFFICULTY key
+   */
+  constructor(colonyId, difficulty) {
+    this.colonyId = colonyId;
+    this.difficulty = difficulty;
+    this.knownNests = {};          // colonyId → { x, y, defenders, seenTick } of hostile nests found
+    this.knownFood = {};           // region key → { x, y, food, hostiles, seenTick }
+    this.explored = {};            // region key → true once any of our ants has been there
+    this.threat = 0;               // Hostile ants near our nest at the last look
+    this.raidArmy = 0;             // Fighters we had when the current raid set out
+  }
+
+  get preset() {
+    return CONFIG.AI_DIFFICULTY[this.difficulty] || CONFIG.AI_DIFFICULTY.BALANCED;
+  }
+
+  /**
+   * Re-plan every DIRECTOR_INTERVAL ticks. Called by SimulationEngine once
+   * per tick before the colonies update.
+   */
+  update(engine) {
+    if (engine.tick % CONFIG.DIRECTOR_INTERVAL !== 0) return;
+    const colony = engine.getColony(this.colonyId);
+    if (!colony) return;
+    const hostiles = engine.hostilesOf(colony);
+    this._scout(engine, colony, hostiles);
+    colony.orders = this._decide(engine, colony);
+  }
+
+  // ─── KNOWLEDGE ──────────────────────────────────────────────────────
+
+  /**
+   * Update what the colony knows from where its ants are now: hostile nests
+   * (and their visible defenders) and food regions (food and hostile ants
+   * seen there) within DIRECTOR_SCOUT_RANGE of any of our ants, plus
+   * hostile ants near our own nest.
+   */
+  _scout(engine, colony, hostiles) {
+    const range = CONFIG.DIRECTOR_SCOUT_RANGE;
+    const seen = (x, y) => colony.antIndex.nearest(x, y, range, a => !a.isDead) !== null;
+
+    for (const other of hostiles) {
+      if (!other.queen || other.queen.isDead) {
+        delete this.knownNests[other.id];
+        continue;
+      }
+      if (!seen(other.nestX, other.nestY)) continue;
+      let defenders = 0;
+      other.antIndex.forEachInRadius(other.nestX, other.nestY, range, ant => {
+        if (ant.caste.behavior === 'GUARD') defenders++;
+      });
+      this.knownNests[other.id] = { x: other.nestX, y: other.nestY, defenders, seenTick: engine.tick };
+    }
+    for (const id of Object.keys(this.knownNests)) {
+      if (!engine.getColony(Number(id))) delete this.knownNests[id];   // Died out
+    }
+
+    const size = CONFIG.DIRECTOR_REGION_SIZE;
+    for (const ant of colony.ants) {
+      this.explored[`${Math.floor(ant.x / size)},${Math.floor(ant.y / size)}`] = true;
+    }
+
+    // Food regions: only those we can see now are refreshed
+    const fresh = {};
+    for (const food of engine.world.foodPatches) {
+      if (food.amount <= 0 || !seen(food.x, food.y)) continue;
+      const key = `${Math.floor(food.x / size)},${Math.floor(food.y / size)}`;
+      const region = fresh[key] ??= {
+        x: (Math.floor(food.x / size) + 0.5) * size,
+        y: (Math.floor(food.y / size) + 0.5) * size,
+        food: 0, hostiles: 0, seenTick: engine.tick,
+      };
+      region.food += food.amount;
+    }
+    for (const region of Object.values(fresh)) {
+      for (const other of hostiles) {
+        other.antIndex.forEachInRadius(region.x, region.y, size * 0.75, () => region.hostiles++);
+      }
+    }
+    for (const [key, region] of Object.entries(this.knownFood)) {
+      if (!fresh[key] && seen(region.x, region.y)) delete this.knownFood[key];   // Eaten up
+    }
+    Object.assign(this.knownFood, fresh);
+
+    this.threat = 0;
+    const watch = CONFIG.DIRECTOR_THREAT_RADIUS * colony.getSightBonus();   // Beacons see farther
+    for (const other of hostiles) {
+      other.antIndex.forEachInRadius(colony.nestX, colony.nestY, watch, ant => {
+        if (!ant.isDead) this.threat++;
+      });
+    }
+  }
+
+  // ─── DECISIONS ──────────────────────────────────────────────────────
+
+  _decide(engine, colony) {
+    const preset = this.preset;
+    const fighters = colony.ants.filter(a => a.caste.behavior === 'GUARD').length;
+    const adults = Math.max(1, colony.ants.length - 1);
+    const orders = colony.orders || {};
+
+    // Under attack: breed fighters and keep everyone home
+    if (this.threat >= preset.turtleThreat) {
+      this.raidArmy = 0;
+      return { posture: 'TURTLE', broodWeights: this._fighterWeights(3), rally: null, forage: null };
+    }
+
+    // Raid under way: press on until the army is worn down or the target falls
+    if (orders.posture === 'RAID' && orders.rally) {
+      const target = engine.getColony(orders.rally.colonyId);
+      const alive = target && target.queen && !target.queen.isDead;
+      if (alive && fighters > this.raidArmy * (1 - preset.raidRetreat)) {
+        return { ...orders, broodWeights: this._fighterWeights(2) };
+      }
+      this.raidArmy = 0;
+    }
+
+    // Strong enough to raid a known hostile nest? Without one, send the
+    // army out to find one
+    if (preset.raidArmy > 0 && fighters >= preset.raidArmy && colony.foodAmount >= CONFIG.DIRECTOR_RAID_MIN_FOOD) {
+      const target = this._pickRaidTarget(colony, fighters, preset);
+      if (target) {
+        this.raidArmy = fighters;
+        return {
+          posture: 'RAID',
+          broodWeights: this._fighterWeights(2),
+          rally: { x: target.x, y: target.y, colonyId: target.colonyId },
+          forage: this._pickFoodRegion(colony, preset),
+        };
+      }
+      const unexplored = Object.keys(this.knownNests).length === 0 && this._pickUnexplored(colony);
+      if (unexplored) {
+        return {
+          posture: 'SCOUT',
+          broodWeights: this._fighterWeights(2),
+          rally: { x: unexplored.x, y: unexplored.y, colonyId: null },
+          forage: this._pickFoodRegion(colony, preset),
+        };
+      }
+    }
+
+    // Otherwise grow, steering the fighter share toward the preset's
+    const short = fighters / adults < preset.soldierShare;
+    return {
+      posture: 'GROW',
+      broodWeights: this._fighterWeights(short ? 2 : 0.5),
+      rally: null,
+      forage: this._pickFoodRegion(colony, preset),
+    };
+  }
+
+  /**
+   * Nearest known hostile nest we outnumber by the preset's raidAdvantage.
+   */
+  _pickRaidTarget(colony, fighters, preset) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const [id, nest] of Object.entries(this.knownNests)) {
+      if (fighters < nest.defenders * preset.raidAdvantage) continue;
+      const dist = Math.hypot(nest.x - colony.nestX, nest.y - colony.nestY);
+      if (dist < bestDist) {
+        best = { x: nest.x, y: nest.y, colonyId: Number(id) };
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Centre of the nearest region none of our ants has been to yet.
+   */
+  _pickUnexplored(colony) {
+    const size = CONFIG.DIRECTOR_REGION_SIZE;
+    let best = null;
+    let bestDist = Infinity;
+    for (let rx = 0; rx < Math.ceil(CONFIG.WORLD_WIDTH / size); rx++) {
+      for (let ry = 0; ry < Math.ceil(CONFIG.WORLD_HEIGHT / size); ry++) {
+        if (this.explored[`${rx},${ry}`]) continue;
+        const x = (rx + 0.5) * size;
+        const y = (ry + 0.5) * size;
+        const dist = Math.hypot(x - colony.nestX, y - colony.nestY);
+        if (dist < bestDist) {
+          best = { x, y };
+          bestDist = dist;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Known food region most worth sending foragers to: lots of food, few
+   * hostiles, not too far. Presets that don't contest food skip regions
+   * where hostile ants were seen.
+   */
+  _pickFoodRegion(colony, preset) {
+    let best = null;
+    let bestScore = 0;
+    for (const region of Object.values(this.knownFood)) {
+      if (region.food <= 0) continue;
+      if (region.hostiles > 0 && !preset.contestFood) continue;
+      const dist = Math.hypot(region.x - colony.nestX, region.y - colony.nestY);
+      const score = region.food / (1 + region.hostiles) / (1 + dist / CONFIG.DIRECTOR_REGION_SIZE);
+      if (score > bestScore) {
+        best = { x: region.x, y: region.y };
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * broodWeights with every fighter caste (GUARD behaviour) scaled by factor.
+   */
+  _fighterWeights(factor) {
+    const weights = {};
+    for (const [type, caste] of Object.entries(CONFIG.CASTES)) {
+      if (caste.behavior === 'GUARD' && caste.broodWeight > 0) weights[type] = caste.broodWeight * factor;
+    }
+    return weights;
+  }
+
+  // ─── SAVE / LOAD ────────────────────────────────────────────────────
+
+  serialize() {
+    return structuredClone({ ...this });
+  }
+
+  static deserialize(data) {
+    return Object.assign(new ColonyDirector(data.colonyId, data.difficulty), structuredClone(data));
+  }
+}
+
+export default ColonyDirector;
@@ -1,16 +1,62 @@
 import CONFIG from './config.js';
 import { World } from './world.js';
 import { Colony } from './colony.js';
+import { SeededRandom } from './rng.js';
+import { SimClock } from './clock.js';
+import { createHeroAnt, executeCommand, updateHero } from './commands.js';
+import { updateNuptialFlights } from './nuptial.js';
+import { Relations } from './relations.js';
+import { ColonyDirector } from './director.js';
+
+/**
+ * Save format version. Fields added since load with defaults (`??`), so
+ * only bump it for a change an older save can't be read through, and
+ * migrate the older layout on load: v1 saves (before per-colony pheromone
+ * channels) are remapped by PheromoneGrid.deserialize().
+ */
+export const SAVE_VERSION = 2;
+
+/** Oldest save version loadState() still reads. */
+export const OLDEST_SAVE_VERSION = 1;
 
 /**
  * Central simulation engine.
- * Manages world, both colonies, and fixed-timestep updates.
+ * Manages world, colonies, and fixed-timestep updates.
+ * `colonies` starts with one colony per nest of the map (CONFIG.MAPS) and
+ * grows as nuptial flights found new nests; colonies[0] is always the
+ * player's and colonies[1] the one the HUD calls "the enemy".
+ * Who fights whom is `relations` (see relations.js); every colony but the
+ * player's is run by a ColonyDirector at `difficulty` (see director.js).
+ *
+ * Owns the single SeededRandom every sim module draws from: the same seed
+ * and the same inputs reproduce the exact same match.
  */
 export class SimulationEngine {
-  constructor() {
-    this.world = new World();
-    this.playerColony = new Colony(0, CONFIG.PLAYER_COLONY_NEST_X, CONFIG.PLAYER_COLONY_NEST_Y);
-    this.enemyColony = new Colony(1, CONFIG.ENEMY_COLONY_NEST_X, CONFIG.ENEMY_COLONY_NEST_Y);
+  /**
+   * @param {number|null} [seed] - RNG seed; null/undefined picks a random one
+   * @param {object} [opts]
+   * @param {string} [opts.map] - CONFIG.MAPS key (default CONFIG.DEFAULT_MAP)
+   * @param {string} [opts.difficulty] - CONFIG.AI_DIFFICULTY key (default CONFIG.DEFAULT_AI_DIFFICULTY)
+   */
+  constructor(seed = CONFIG.RANDOM_SEED, { map = CONFIG.DEFAULT_MAP, difficulty = CONFIG.DEFAULT_AI_DIFFICULTY } = {}) {
+    const mapDef = CONFIG.MAPS[map];
+    if (!mapDef) throw new Error(`Unknown map '${map}' (expected one of ${Object.keys(CONFIG.MAPS).join(', ')})`);
+    if (mapDef.nests.length < 2) throw new Error(`Map '${map}' needs at least two nests`);
+    if (!CONFIG.AI_DIFFICULTY[difficulty]) {
+      throw new Error(`Unknown AI difficulty '${difficulty}' (expected one of ${Object.keys(CONFIG.AI_DIFFICULTY).join(', ')})`);
+    }
+
+    this.rng = new SeededRandom(seed ?? SeededRandom.randomSeed());
+    this.seed = this.rng.seed;
+    this.map = map;
+
+    this.clock = new SimClock(0);  // Time of day, derived from tick
+    this.world = new World(this.rng, this.clock, mapDef.nests);
+    this.colonies = mapDef.nests.map((nest, i) => new Colony(i, nest.x, nest.y, this.rng));
+    this.relations = new Relations(mapDef.alliances);
+    this.difficulty = difficulty;
+    this.directors = this.colonies.slice(1).map(c => new ColonyDirector(c.id, difficulty));
+    this.lastNuptialFlight = null; // { tick, alates, queens, founded: [colonyId] } of the latest flight
     
     this.playerAnt = null;         // Hero ant (player-controlled)
     this.tick = 0;
@@ -20,6 +66,67 @@ export class SimulationEngine {
     
     this.gameOver = false;
     this.victoryState = null;      // null, 'WON', 'LOST'
+
+    this.recorder = null;          // Optional InputRecorder (see replay.js)
+
+    for (const colony of this.colonies) this._reindexColony(colony);
+  }
+
+  /** The player's original colony. */
+  get playerColony() {
+    return this.colonies[0];
+  }
+
+  /** The HUD's "enemy": the second colony on the map. */
+  get enemyColony() {
+    return this.colonies[1];
+  }
+
+  /**
+   * Colony by id, or null once it has died out.
+   */
+  getColony(id) {
+    return this.colonies.find(c => c.id === id) || null;
+  }
+
+  /**
+   * True if the two colonies' ants fight.
+   */
+  areHostile(colonyA, colonyB) {
+    return this.relations.isHostile(colonyA.faction, colonyB.faction);
+  }
+
+  /**
+   * Colonies whose ants fight `colony`'s.
+   */
+  hostilesOf(colony) {
+    return this.colonies.filter(c => this.areHostile(colony, c));
+  }
+
+  /**
+   * Found a new colony (lone queen) at a nest site, on `parent`'s side.
+   * Allocates its pheromone channels.
+   */
+  foundColony(nestX, nestY, parent) {
+    const id = this.world.pheromones.addColony();
+    const colony = new Colony(id, nestX, nestY, this.rng, {
+      faction: parent.faction,
+      parentId: parent.id,
+      founding: true,
+    });
+    this.colonies.push(colony);
+    this._reindexColony(colony);
+    if (colony.id !== 0) this.directors.push(new ColonyDirector(colony.id, this.difficulty));
+    return colony;
+  }
+
+  /**
+   * Rebuild a colony's spatial index from its ants' current positions.
+   * Done right after the colony moves, so the index is exact whenever the
+   * other colony (or a hero command between ticks) queries it.
+   */
+  _reindexColony(colony) {
+    colony.antIndex.rebuild(colony.ants);
   }
 
   /**
@@ -29,6 +136,23 @@ export class SimulationEngine {
     this.playerAnt = ant;
   }
 
+  /**
+   * Spawn the hero ant in the player colony.
+   */
+  createPlayerAnt() {
+    return createHeroAnt(this);
+  }
+
+  /**
+   * Apply a player command (see commands.js for the shapes).
+   * All hero input that touches sim state must come through here so it
+   * is recorded against the current tick.
+   */
+  applyCommand(cmd) {
+    if (this.recorder) this.recorder.record(this.tick, cmd);
+    return executeCommand(this, cmd);
+  }
+
   /**
    * Update simulation by one tick.
    * Called from fixed-timestep accumulator.
@@ -36,19 +160,37 @@ export class SimulationEngine {
   updateTick() {
     if (this.gameOver || this.isPaused) return;
 
+    this.clock.update(this.tick);
+
     // Update world
     this.world.update();
 
-    // Update colonies
-    this.playerColony.update(this.world, this.enemyColony);
-    this.enemyColony.update(this.world, this.playerColony);
+    // Hero auto-behaviours (pickup, deposit, trail)
+    updateHero(this);
 
-    // Check win/lose conditions
+    // AI colonies re-plan, then every colony updates
+    for (const director of this.directors) director.update(this);
+    for (const colony of this.colonies) {
+      colony.update(this.world, this.hostilesOf(colony));
+      this._reindexColony(colony);
+    }
+
+    // Alates fly, new nests are founded; founded colonies that died out go,
+    // freeing their pheromone channels
+    updateNuptialFlights(this);
+    const gone = this.colonies.filter(c => c.parentId !== null && c.ants.length === 0);
+    for (const colony of gone) this.world.pheromones.removeColony(colony.id);
+    if (gone.length) this.colonies = this.colonies.filter(c => !gone.includes(c));
+    this.directors = this.directors.filter(d => this.getColony(d.colonyId));
+
+    // Check win/lose conditions: lose with our queen, win once no hostile
+    // colony has a queen left
     if (this.playerColony.queen && this.playerColony.queen.isDead && !this.gameOver) {
       this.gameOver = true;
       this.victoryState = 'LOST';
     }
-    if (this.enemyColony.queen && this.enemyColony.queen.isDead && !this.gameOver) {
+    const hasQueen = (colony) => colony.queen && !colony.queen.isDead;
+    if (!this.gameOver && !this.hostilesOf(this.playerColony).some(hasQueen)) {
       this.gameOver = true;
       this.victoryState = 'WON';
     }
@@ -94,6 +236,79 @@ export class SimulationEngine {
   togglePause() {
     this.isPaused = !this.isPaused;
   }
+
+  // ─── SAVE / LOAD ────────────────────────────────────────────────────
+
+  /**
+   * Versioned plain-data snapshot of the whole match (JSON-safe).
+   * Includes RNG state so a loaded match continues deterministically.
+   */
+  serialize() {
+    return {
+      version: SAVE_VERSION,
+      seed: this.seed,
+      rng: this.rng.serialize(),
+      tick: this.tick,
+      speedLevel: this.speedLevel,
+      isPaused: this.isPaused,
+      gameOver: this.gameOver,
+      victoryState: this.victoryState,
+      playerAntId: this.playerAnt ? this.playerAnt.id : null,
+      map: this.map,
+      relations: this.relations.serialize(),
+      difficulty: this.difficulty,
+      directors: this.directors.map(d => d.serialize()),
+      world: this.world.serialize(),
+      colonies: this.colonies.map(c => c.serialize()),
+      lastNuptialFlight: this.lastNuptialFlight,
+    };
+  }
+
+  /**
+   * Replace this engine's state in place with a serialize() snapshot.
+   * In place so existing references to the engine (player, UI) stay valid;
+   * callers must re-read world/colony/ant references afterwards.
+   */
+  loadState(data) {
+    if (!(data.version >= OLDEST_SAVE_VERSION && data.version <= SAVE_VERSION)) {
+      throw new Error(`Unsupported save version ${data.version} (expected ${OLDEST_SAVE_VERSION}–${SAVE_VERSION})`);
+    }
+
+    this.world = World.deserialize(data.world, this.rng, this.clock);
+    // Saves from before founded colonies kept the two as named fields
+    const colonies = data.colonies ?? [data.playerColony, data.enemyColony];
+    this.colonies = colonies.map(c => Colony.deserialize(c, this.rng));
+    this.lastNuptialFlight = data.lastNuptialFlight ?? null;
+    this.map = data.map ?? 'DUEL';   // Pre-map saves were duels…
+    this.relations = Relations.deserialize(data.relations); // …with no alliances
+    // Saves from before AI directors: the enemy plays balanced from here on
+    this.difficulty = data.difficulty ?? CONFIG.DEFAULT_AI_DIFFICULTY;
+    this.directors = data.directors
+      ? data.directors.map(d => ColonyDirector.deserialize(d))
+      : this.colonies.slice(1).map(c => new ColonyDirector(c.id, this.difficulty));
+
+    this.playerAnt = data.playerAntId === null ? null
+      : this.playerColony.ants.find(a => a.id === data.playerAntId) || null;
+    this.tick = data.tick;
+    this.speedLevel = data.speedLevel;
+    this.isPaused = data.isPaused;
+    this.gameOver = data.gameOver;
+    this.victoryState = data.victoryState;
+    this.clock.update(this.tick);
+
+    // Restore RNG last — rebuilding ants above draws from it
+    this.rng.restore(data.rng);
+    this.seed = this.rng.seed;
+  }
+
+  /**
+   * Create a new engine from a serialize() snapshot.
+   */
+  static deserialize(data) {
+    const engine = new SimulationEngine(data.seed);
+    engine.loadState(data);
+    return engine;
+  }
 }
 
 export default SimulationEngine;
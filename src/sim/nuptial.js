@@ -0,0 +1,72 @@
+import CONFIG from './config.js';
+
+/**
+ * Nuptial flights: once a summer afternoon, if it's dry and some colony has
+ * a winged queen (GYNE) ready and some colony a male (DRONE), every alate on
+ * the map takes off at once. Males die after mating; each queen survives
+ * with NUPTIAL_SURVIVAL and, if she finds open ground far enough from every
+ * nest, founds a new colony of her mother's faction.
+ *
+ * Functions here take the SimulationEngine, like commands.js.
+ */
+
+/**
+ * Tick within each day (0 … DAY_LENGTH_TICKS-1) at which flights launch.
+ */
+function flightTickOfDay() {
+  const t = (CONFIG.NUPTIAL_TIME - CONFIG.DAY_START_TIME + 1) % 1;
+  return Math.round(t * CONFIG.DAY_LENGTH_TICKS);
+}
+
+/**
+ * Launch a flight if conditions are right this tick. Called once per tick
+ * after the colonies update.
+ */
+export function updateNuptialFlights(engine) {
+  const { clock, world } = engine;
+  if (!CONFIG.NUPTIAL_SEASONS.includes(clock.season.id)) return;
+  if (engine.tick % CONFIG.DAY_LENGTH_TICKS !== flightTickOfDay()) return;
+  if (world.weather.rain > CONFIG.NUPTIAL_MAX_RAIN) return;
+
+  const alates = engine.colonies.flatMap(colony => colony.getAlates().map(ant => ({ ant, colony })));
+  const queens = alates.filter(a => a.ant.type === 'GYNE');
+  if (queens.length === 0 || queens.length === alates.length) return;
+
+  // Everyone with wings takes off — none of them come back
+  for (const colony of engine.colonies) {
+    colony.ants = colony.ants.filter(ant => ant.caste.behavior !== 'ALATE');
+    engine._reindexColony(colony);
+  }
+
+  const founded = [];
+  for (const { colony } of queens) {
+    if (engine.colonies.length >= CONFIG.MAX_COLONIES) break;
+    if (!engine.rng.chance(CONFIG.NUPTIAL_SURVIVAL)) continue;
+    const site = findNestSite(engine, colony);
+    if (site) founded.push(engine.foundColony(site.x, site.y, colony).id);
+  }
+
+  engine.lastNuptialFlight = { tick: engine.tick, alates: alates.length, queens: queens.length, founded };
+}
+
+/**
+ * Somewhere a queen from `colony` could land and dig in: within
+ * NUPTIAL_FLIGHT_RANGE of home, dry, passable and NEST_MIN_SPACING from
+ * every other nest. Null if a few tries find nothing.
+ */
+function findNestSite(engine, colony) {
+  const { world, rng } = engine;
+  const [minDist, maxDist] = CONFIG.NUPTIAL_FLIGHT_RANGE;
+  const margin = CONFIG.NEST_RADIUS * 2;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const angle = rng.angle();
+    const dist = rng.range(minDist, maxDist);
+    const x = colony.nestX + Math.cos(angle) * dist;
+    const y = colony.nestY + Math.sin(angle) * dist;
+    if (x < margin || x > CONFIG.WORLD_WIDTH - margin || y < margin || y > CONFIG.WORLD_HEIGHT - margin) continue;
+    if (!world.isPassable(x, y) || world.isFlooded(x, y)) continue;
+    if (engine.colonies.some(c => Math.hypot(c.nestX - x, c.nestY - y) < CONFIG.NEST_MIN_SPACING)) continue;
+    return { x, y };
+  }
+  return null;
+}
@@ -1,57 +1,162 @@
 import CONFIG from './config.js';
 
+/** Values are clamped here to avoid numerical explosion. */
+const MAX_STRENGTH = 1000;
+
+/**
+ * Pheromone types every colony lays (Ant Simulator two-trail model + alarm):
+ *   FOOD  — laid by ants carrying food home; outbound ants follow it to food
+ *   HOME  — laid by outbound ants; carrying ants follow it back to the nest
+ *   ALARM — laid when fighting; summons reinforcements
+ */
+export const PHEROMONE = { FOOD: 0, HOME: 1, ALARM: 2 };
+export const PHEROMONE_TYPE_COUNT = 3;
+
+/**
+ * Channel index for a colony's pheromone type (colonyId * types + type).
+ */
+export function pheromoneChannel(colonyId, type) {
+  return colonyId * PHEROMONE_TYPE_COUNT + type;
+}
+
+/**
+ * Where v1 saves' four channels (player food, enemy food, player alarm,
+ * enemy alarm) live in the per-colony layout. They had no HOME trails.
+ */
+const V1_CHANNELS = [
+  pheromoneChannel(0, PHEROMONE.FOOD), pheromoneChannel(1, PHEROMONE.FOOD),
+  pheromoneChannel(0, PHEROMONE.ALARM), pheromoneChannel(1, PHEROMONE.ALARM),
+];
+
+/**
+ * Diffusion kernels: neighbour offsets [dx, dy, weight]. Weights sum to 1;
+ * at the world edge the missing neighbours' share stays in the cell.
+ */
+const DIFFUSION_KERNELS = {
+  cross: [[1, 0, 0.25], [-1, 0, 0.25], [0, 1, 0.25], [0, -1, 0.25]],
+  box: [
+    [1, 0, 0.2], [-1, 0, 0.2], [0, 1, 0.2], [0, -1, 0.2],
+    [1, 1, 0.05], [1, -1, 0.05], [-1, 1, 0.05], [-1, -1, 0.05],
+  ],
+};
+
 /**
  * Pheromone grid system for each colony.
- * Each colony has its own pheromone layer for foraging and homing.
+ * Each colony has its own FOOD / HOME / ALARM layers — see pheromoneChannel().
+ *
+ * Storage: one Float32Array per channel, column-major (index = x * height + y)
+ * so getHeatmap() can hand out cheap per-column views that keep the old
+ * grid[x][y] access working. Each channel also tracks its non-zero cells
+ * (index list + membership mask) so decay only touches live trail cells.
  */
 export class PheromoneGrid {
-  constructor() {
-    // Channels: 0=player food, 1=enemy food, 2=player alarm, 3=enemy alarm
-    this.grids = [];
-    for (let i = 0; i < CONFIG.PHEROMONE_CHANNELS; i++) {
-      this.grids.push(this._createEmptyGrid());
-    }
+  /**
+   * @param {number} [colonyCount] - colonies that lay pheromone (ids 0..n-1)
+   * @param {Heightmap} [heightmap] - terrain; valleys hold trails longer and
+   *   diffusion runs downhill. Omit for flat ground.
+   */
+  constructor(colonyCount = 2, heightmap = null) {
+    this.width = CONFIG.WORLD_WIDTH;
+    this.height = CONFIG.WORLD_HEIGHT;
+    this.colonyCount = 0;
+    this.heightmap = heightmap;
+
+    // One channel per colony × pheromone type
+    this.buffers = [];
+    this.activeCells = [];         // Per channel: indices of non-zero cells
+    this.activeCounts = [];        // Per channel: used length of activeCells
+    this.activeMask = [];          // Per channel: 1 if the cell is in activeCells
+    for (let i = 0; i < colonyCount; i++) this.addColony();
+    this._columnViews = [];        // Lazily built by getHeatmap()
+    this._diffusionDelta = null;   // Scratch buffer, allocated on first diffuse()
+    this.updateCount = 0;          // Drives PHEROMONE_DIFFUSION_INTERVAL
   }
 
-  _createEmptyGrid() {
-    const grid = [];
-    for (let x = 0; x < CONFIG.WORLD_WIDTH; x++) {
-      grid[x] = [];
-      for (let y = 0; y < CONFIG.WORLD_HEIGHT; y++) {
-        grid[x][y] = 0;
-      }
+  /**
+   * Allocate FOOD / HOME / ALARM channels for one more colony
+   * (e.g. one founded mid-match by a nuptial flight).
+   * @returns {number} the colony id the channels belong to
+   */
+  addColony() {
+    const cells = this.width * this.height;
+    for (let t = 0; t < PHEROMONE_TYPE_COUNT; t++) {
+      this.buffers.push(new Float32Array(cells));
+      this.activeCells.push(new Int32Array(cells));
+      this.activeCounts.push(0);
+      this.activeMask.push(new Uint8Array(cells));
     }
-    return grid;
+    return this.colonyCount++;
   }
 
   /**
-   * Deposit pheromone at a grid location.
+   * Free a colony's channels once it has died out. Its channel indices stay
+   * reserved (colony ids are never reused): reads give 0, deposits are dropped.
    */
-  deposit(x, y, colonyId, strength) {
-    const ix = Math.floor(x);
-    const iy = Math.floor(y);
+  removeColony(colonyId) {
+    for (let t = 0; t < PHEROMONE_TYPE_COUNT; t++) {
+      const c = pheromoneChannel(colonyId, t);
+      this.buffers[c] = null;
+      this.activeCells[c] = null;
+      this.activeCounts[c] = 0;
+      this.activeMask[c] = null;
+      this._columnViews[c] = undefined;
+    }
+  }
 
-    if (ix < 0 || ix >= CONFIG.WORLD_WIDTH || iy < 0 || iy >= CONFIG.WORLD_HEIGHT) {
-      return;
+  /**
+   * Ids of colonies whose channels were freed by removeColony().
+   */
+  get removedColonies() {
+    const ids = [];
+    for (let id = 0; id < this.colonyCount; id++) {
+      if (!this.buffers[pheromoneChannel(id, 0)]) ids.push(id);
     }
+    return ids;
+  }
 
-    this.grids[colonyId][ix][iy] += strength;
-    // Clamp to reasonable max to avoid numerical explosion
-    this.grids[colonyId][ix][iy] = Math.min(this.grids[colonyId][ix][iy], 1000);
+  /**
+   * Channel index for a colony's pheromone type.
+   */
+  channel(colonyId, type) {
+    return pheromoneChannel(colonyId, type);
   }
 
   /**
-   * Read pheromone value at a location (for steering).
+   * Flat buffer index of a grid location, or -1 if off the grid.
    */
-  read(x, y, colonyId) {
+  indexOf(x, y) {
     const ix = Math.floor(x);
     const iy = Math.floor(y);
+    if (ix < 0 || ix >= this.width || iy < 0 || iy >= this.height) return -1;
+    return ix * this.height + iy;
+  }
 
-    if (ix < 0 || ix >= CONFIG.WORLD_WIDTH || iy < 0 || iy >= CONFIG.WORLD_HEIGHT) {
-      return 0;
-    }
+  /**
+   * Deposit pheromone at a grid location.
+   */
+  deposit(x, y, channel, strength) {
+    const i = this.indexOf(x, y);
+    const buf = this.buffers[channel];
+    if (i < 0 || !buf) return;
+
+    buf[i] = Math.min(buf[i] + strength, MAX_STRENGTH);
+    this._markActive(channel, i);
+  }
+
+  _markActive(channel, i) {
+    const mask = this.activeMask[channel];
+    if (mask[i]) return;
+    mask[i] = 1;
+    this.activeCells[channel][this.activeCounts[channel]++] = i;
+  }
 
-    return this.grids[colonyId][ix][iy];
+  /**
+   * Read pheromone value at a location (for steering).
+   */
+  read(x, y, channel) {
+    const i = this.indexOf(x, y);
+    const buf = this.buffers[channel];
+    return i < 0 || !buf ? 0 : buf[i];
   }
 
   /**
@@ -63,35 +168,255 @@ export class PheromoneGrid {
    * Formula: new = old * rate - floor_drain
    * The constant floor_drain (0.02) ensures near-zero values get cleaned up,
    * while the high rate (0.999) keeps strong trails around for minutes.
+   *
+   * Only active cells are visited; cells that drop to zero leave the list.
+   * When CONFIG.PHEROMONE_DIFFUSION is on, trails spread before they decay.
+   * On terrain, evaporation slows toward valley floors (PHEROMONE_VALLEY_POOLING).
+   *
+   * @param {number} [decayMultiplier] - extra factor on every rate (rain washout)
+   * @param {number} [floodLevel] - cells with lowness above 1 - floodLevel are
+   *   under water and lose FLOOD_PHEROMONE_WASHOUT on top (needs a heightmap)
    */
-  update() {
-    const foodRate = CONFIG.PHEROMONE_DECAY_RATE;
-    const alarmRate = CONFIG.ALARM_DECAY_RATE;
+  update(decayMultiplier = 1, floodLevel = 0) {
+    this.updateCount++;
+    const interval = Math.max(1, CONFIG.PHEROMONE_DIFFUSION_INTERVAL);
+    if (CONFIG.PHEROMONE_DIFFUSION && this.updateCount % interval === 0) {
+      for (let c = 0; c < this.buffers.length; c++) {
+        if (this.buffers[c]) this.diffuse(c, Math.min(1, this._diffusionRate(c) * interval));
+      }
+    }
+
+    const decayRates = [];
+    decayRates[PHEROMONE.FOOD] = CONFIG.PHEROMONE_DECAY_RATE * decayMultiplier;
+    decayRates[PHEROMONE.HOME] = CONFIG.PHEROMONE_HOME_DECAY_RATE * decayMultiplier;
+    decayRates[PHEROMONE.ALARM] = CONFIG.ALARM_DECAY_RATE * decayMultiplier;
     const floorDrain = 0.02;
+    const lowness = this.heightmap ? this.heightmap.lowness : null;
+    const pooling = lowness ? CONFIG.PHEROMONE_VALLEY_POOLING : 0;
+    const floodLine = lowness && floodLevel > 0 ? 1 - floodLevel : Infinity;
     
-    for (let c = 0; c < CONFIG.PHEROMONE_CHANNELS; c++) {
-      const rate = (c >= 2) ? alarmRate : foodRate; // channels 2,3 are alarm
-      for (let x = 0; x < CONFIG.WORLD_WIDTH; x++) {
-        for (let y = 0; y < CONFIG.WORLD_HEIGHT; y++) {
-          let val = this.grids[c][x][y];
-          if (val <= 0) continue;
-          
-          val = val * rate - floorDrain;
-          if (val < 0.5) val = 0;
-          
-          this.grids[c][x][y] = val;
+    for (let c = 0; c < this.buffers.length; c++) {
+      const rate = decayRates[c % PHEROMONE_TYPE_COUNT];
+      const buf = this.buffers[c];
+      if (!buf) continue;            // Colony died out (removeColony)
+      const cells = this.activeCells[c];
+      const mask = this.activeMask[c];
+      const count = this.activeCounts[c];
+      let kept = 0;
+
+      for (let k = 0; k < count; k++) {
+        const i = cells[k];
+        let val;
+        if (pooling > 0) {
+          const slow = 1 - pooling * lowness[i];
+          val = buf[i] * (1 - (1 - rate) * slow) - floorDrain * slow;
+        } else {
+          val = buf[i] * rate - floorDrain;
+        }
+        if (lowness && lowness[i] > floodLine) val *= CONFIG.FLOOD_PHEROMONE_WASHOUT;
+        if (val < 0.5) {
+          buf[i] = 0;
+          mask[i] = 0;
+        } else {
+          buf[i] = val;
+          cells[kept++] = i;
+        }
+      }
+      this.activeCounts[c] = kept;
+    }
+  }
+
+  _diffusionRate(c) {
+    switch (c % PHEROMONE_TYPE_COUNT) {
+      case PHEROMONE.HOME: return CONFIG.PHEROMONE_DIFFUSION_RATE_HOME;
+      case PHEROMONE.ALARM: return CONFIG.PHEROMONE_DIFFUSION_RATE_ALARM;
+      default: return CONFIG.PHEROMONE_DIFFUSION_RATE_FOOD;
+    }
+  }
+
+  /**
+   * One explicit diffusion step on a channel: every active cell hands
+   * `rate` of its value to its neighbours (per PHEROMONE_DIFFUSION_KERNEL).
+   * Mass-conserving; the evaporation in update() then trims the thin edges.
+   * Contributions are gathered in a scratch buffer first so the result does
+   * not depend on the order cells are visited.
+   *
+   * On terrain, each neighbour's weight is scaled by 1 + PHEROMONE_DOWNHILL_BIAS
+   * × its drop (rise per 3D unit) and the weights renormalised, so the same
+   * amount leaves the cell but more of it runs downhill.
+   */
+  diffuse(channel, rate) {
+    if (rate <= 0) return;
+    const kernel = DIFFUSION_KERNELS[CONFIG.PHEROMONE_DIFFUSION_KERNEL];
+    if (!kernel) throw new Error(`Unknown PHEROMONE_DIFFUSION_KERNEL '${CONFIG.PHEROMONE_DIFFUSION_KERNEL}'`);
+    if (!this._diffusionDelta) this._diffusionDelta = new Float32Array(this.width * this.height);
+
+    const W = this.width, H = this.height;
+    const buf = this.buffers[channel];
+    const delta = this._diffusionDelta;
+    const cells = this.activeCells[channel];
+    const sourceCount = this.activeCounts[channel];
+    const heights = this.heightmap ? this.heightmap.cellHeights : null;
+    const bias = heights ? CONFIG.PHEROMONE_DOWNHILL_BIAS : 0;
+    const weights = new Float64Array(kernel.length);
+
+    for (let k = 0; k < sourceCount; k++) {
+      const i = cells[k];
+      const share = buf[i] * rate;
+      const x = (i / H) | 0;
+      const y = i - x * H;
+
+      // Valid neighbour weights (0 off the grid), tilted downhill on terrain
+      let plain = 0, tilted = 0;
+      for (let j = 0; j < kernel.length; j++) {
+        const [dx, dy, w] = kernel[j];
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || nx >= W || ny < 0 || ny >= H) { weights[j] = 0; continue; }
+        let wj = w;
+        if (bias > 0) {
+          const drop = (heights[i] - heights[nx * H + ny]) / (CONFIG.CELL_SIZE * Math.hypot(dx, dy));
+          if (drop > 0) wj *= 1 + bias * drop;
         }
+        weights[j] = wj;
+        plain += w;
+        tilted += wj;
+      }
+      const norm = tilted > 0 ? plain / tilted : 0;
+
+      let given = 0;
+      for (let j = 0; j < kernel.length; j++) {
+        if (weights[j] === 0) continue;
+        const n = (x + kernel[j][0]) * H + (y + kernel[j][1]);
+        const amount = share * weights[j] * norm;
+        delta[n] += amount;
+        given += amount;
+        this._markActive(channel, n);   // Neighbour may be new to the list
+      }
+      delta[i] -= given;
+    }
+
+    // Apply and clear the scratch (sources + every neighbour just marked)
+    const count = this.activeCounts[channel];
+    for (let k = 0; k < count; k++) {
+      const i = cells[k];
+      if (delta[i] !== 0) {
+        buf[i] = Math.min(buf[i] + delta[i], MAX_STRENGTH);
+        delta[i] = 0;
       }
     }
   }
 
+  /**
+   * Raw Float32Array for one channel (index = x * height + y), or null once
+   * its colony is removed. Read-only for callers outside the sim.
+   */
+  getBuffer(channel) {
+    return this.buffers[channel];
+  }
+
+  /**
+   * Number of non-zero cells in a channel.
+   */
+  getActiveCount(channel) {
+    return this.activeCounts[channel];
+  }
+
   /**
    * Get a heatmap for rendering (used by minimap).
-   * Returns array of pheromone values for one colony.
+   * Returns per-column views for one channel: heatmap[x][y] (null once its
+   * colony is removed).
+   */
+  getHeatmap(channel) {
+    if (!this._columnViews[channel]) {
+      const buf = this.buffers[channel];
+      if (!buf) return null;
+      const columns = [];
+      for (let x = 0; x < this.width; x++) {
+        columns.push(buf.subarray(x * this.height, (x + 1) * this.height));
+      }
+      this._columnViews[channel] = columns;
+    }
+    return this._columnViews[channel];
+  }
+
+  // ─── SAVE / LOAD ────────────────────────────────────────────────────
+
+  /**
+   * Compact snapshot: per channel, only the non-zero cells as two binary
+   * arrays (Uint32 cell index = x * height + y, Float32 value), base64-encoded.
+   * Cells keep their active-list order so diffusion sums in the same order
+   * after a load. Removed colonies' channels are null.
+   * Trails cover a small fraction of the grid, so this stays well under
+   * localStorage limits where a dense dump (~2 MB per channel) would not.
    */
-  getHeatmap(colonyId) {
-    return this.grids[colonyId];
+  serialize() {
+    const channels = this.buffers.map((buf, c) => {
+      if (!buf) return null;
+      const count = this.activeCounts[c];
+      const indices = Uint32Array.from(this.activeCells[c].subarray(0, count));
+      const values = new Float32Array(count);
+      for (let k = 0; k < count; k++) values[k] = buf[indices[k]];
+      return {
+        count,
+        indices: bytesToBase64(new Uint8Array(indices.buffer)),
+        values: bytesToBase64(new Uint8Array(values.buffer)),
+      };
+    });
+    return {
+      encoding: 'sparse-f32-b64',
+      colonyCount: this.colonyCount,
+      removedColonies: this.removedColonies,
+      updateCount: this.updateCount,
+      width: this.width,
+      height: this.height,
+      channels,
+    };
   }
+
+  /**
+   * Rebuild a grid from serialize() output.
+   * Also reads the older 'sparse-f64-b64' encoding and v1 saves' two-colony
+   * channel layout (no colonyCount, see V1_CHANNELS).
+   * @param {object} data
+   * @param {Heightmap} [heightmap] - terrain of the world being restored
+   */
+  static deserialize(data, heightmap = null) {
+    if (data.width !== CONFIG.WORLD_WIDTH || data.height !== CONFIG.WORLD_HEIGHT) {
+      throw new Error(`Pheromone grid size mismatch: save is ${data.width}×${data.height}, config is ${CONFIG.WORLD_WIDTH}×${CONFIG.WORLD_HEIGHT}`);
+    }
+    const ValueArray = data.encoding === 'sparse-f64-b64' ? Float64Array : Float32Array;
+    const grid = new PheromoneGrid(data.colonyCount, heightmap);
+    grid.updateCount = data.updateCount ?? 0;
+    for (const id of data.removedColonies ?? []) grid.removeColony(id);
+    const layout = data.colonyCount === undefined ? V1_CHANNELS : null;
+    data.channels.forEach((channel, k) => {
+      const c = layout ? layout[k] : k;
+      if (!channel || !grid.buffers[c]) return;
+      const indices = new Uint32Array(base64ToBytes(channel.indices).buffer);
+      const values = new ValueArray(base64ToBytes(channel.values).buffer);
+      for (let k = 0; k < channel.count; k++) {
+        grid.buffers[c][indices[k]] = values[k];
+        grid._markActive(c, indices[k]);
+      }
+    });
+    return grid;
+  }
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
 }
 
 export default PheromoneGrid;
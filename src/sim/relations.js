@@ -0,0 +1,58 @@
+import CONFIG from './config.js';
+
+/**
+ * Who fights whom. Colonies belong to factions (the nest index on the map,
+ * inherited by colonies founded from them); colonies of one faction never
+ * fight, and two factions are hostile unless allied here. Maps declare
+ * starting alliances in CONFIG.MAPS[id].alliances.
+ */
+export class Relations {
+  /**
+   * @param {Array<[number, number]>} [alliances] - allied faction pairs
+   */
+  constructor(alliances = []) {
+    this.allied = new Set();       // "a:b" keys with a < b
+    for (const [a, b] of alliances) this.setAllied(a, b, true);
+  }
+
+  /**
+   * True if colonies of these factions attack each other on sight.
+   */
+  isHostile(factionA, factionB) {
+    return factionA !== factionB && !this.allied.has(pairKey(factionA, factionB));
+  }
+
+  /**
+   * Make two factions allies, or break their alliance.
+   */
+  setAllied(factionA, factionB, allied = true) {
+    if (factionA === factionB) return;
+    if (allied) this.allied.add(pairKey(factionA, factionB));
+    else this.allied.delete(pairKey(factionA, factionB));
+  }
+
+  /**
+   * Allied pairs as plain data (the constructor's `alliances`).
+   */
+  serialize() {
+    return [...this.allied].map(key => key.split(':').map(Number));
+  }
+
+  static deserialize(data) {
+    return new Relations(data || []);
+  }
+}
+
+/**
+ * CONFIG.FACTIONS entry (name and colours) for a faction, wrapping round if
+ * a map has more factions than entries.
+ */
+export function factionStyle(faction) {
+  return CONFIG.FACTIONS[faction % CONFIG.FACTIONS.length];
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+export default Relations;
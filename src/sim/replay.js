@@ -0,0 +1,162 @@
+import CONFIG from './config.js';
+import { SimulationEngine } from './index.js';
+
+/**
+ * Input recording and deterministic replay.
+ *
+ * A recording is the engine state at the moment recording started, the RNG
+ * seed, a CONFIG snapshot, and every command passed to
+ * SimulationEngine.applyCommand() stamped with the tick it was applied on.
+ * Because all sim randomness comes from the engine's SeededRandom, re-driving
+ * updateTick() with the same commands reproduces the match exactly.
+ *
+ * Live timing: commands stamped tick T were applied after tick T-1 finished
+ * and before tick T ran — ReplayPlayer applies them at the same point.
+ */
+
+export const REPLAY_FORMAT = 'antenboro-replay';
+export const REPLAY_VERSION = 1;
+
+// Commands that only affect real-time pacing, not sim outcome. Replay has
+// its own play/pause and speed controls, so these are recorded but skipped.
+const PACING_COMMANDS = new Set(['pause', 'speed']);
+
+export class InputRecorder {
+  /**
+   * Start recording from the engine's current state.
+   * @param {SimulationEngine} engine
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.seed = engine.seed;
+    this.config = structuredClone(CONFIG);
+    this.startTick = engine.tick;
+    this.startState = engine.serialize();
+    this.commands = [];           // [{ tick, cmd }]
+    engine.recorder = this;
+  }
+
+  record(tick, cmd) {
+    this.commands.push({ tick, cmd: { ...cmd } });
+  }
+
+  /**
+   * Detach from the engine; the recording stays usable.
+   */
+  stop() {
+    if (this.engine.recorder === this) this.engine.recorder = null;
+  }
+
+  /**
+   * JSON-safe recording.
+   */
+  serialize() {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      config: this.config,
+      startTick: this.startTick,
+      endTick: this.engine.tick,
+      startState: this.startState,
+      commands: this.commands,
+    };
+  }
+}
+
+export class ReplayPlayer {
+  /**
+   * @param {object} recording - InputRecorder.serialize() output
+   * @param {object} [opts]
+   * @param {number} [opts.checkpointInterval] - ticks between state checkpoints
+   */
+  constructor(recording, { checkpointInterval = CONFIG.REPLAY_CHECKPOINT_INTERVAL } = {}) {
+    if (recording.format !== REPLAY_FORMAT) throw new Error('Not an AntenbOro replay');
+    if (recording.version !== REPLAY_VERSION) {
+      throw new Error(`Replay version ${recording.version} is not supported (expected ${REPLAY_VERSION})`);
+    }
+
+    // The match must run under the config it was recorded with
+    Object.assign(CONFIG, structuredClone(recording.config));
+
+    this.recording = recording;
+    this.commands = recording.commands;
+    this.endTick = recording.endTick;
+    this.checkpointInterval = checkpointInterval;
+
+    this.engine = SimulationEngine.deserialize(recording.startState);
+    this.engine.isPaused = false;
+    this.cursor = 0;                // Index of next command to apply
+
+    // tick → serialize() snapshot, for jump-to-tick
+    this.checkpoints = new Map([[this.engine.tick, recording.startState]]);
+
+    // Viewer controls
+    this.isPlaying = true;
+    this.speed = 1;                 // 1–8× real time
+  }
+
+  get tick() {
+    return this.engine.tick;
+  }
+
+  get isFinished() {
+    return this.engine.tick >= this.endTick || this.engine.gameOver;
+  }
+
+  togglePlay() {
+    this.isPlaying = !this.isPlaying;
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.max(1, Math.min(8, speed));
+  }
+
+  /**
+   * Advance the replay by one sim tick.
+   * @returns {boolean} false when the recording is exhausted
+   */
+  step() {
+    if (this.isFinished) return false;
+
+    const tick = this.engine.tick;
+    while (this.cursor < this.commands.length && this.commands[this.cursor].tick <= tick) {
+      const { cmd } = this.commands[this.cursor++];
+      if (!PACING_COMMANDS.has(cmd.type)) this.engine.applyCommand(cmd);
+    }
+
+    this.engine.updateTick();
+
+    if (this.engine.tick % this.checkpointInterval === 0 && !this.checkpoints.has(this.engine.tick)) {
+      this.checkpoints.set(this.engine.tick, this.engine.serialize());
+    }
+    return true;
+  }
+
+  /**
+   * Jump to a tick: restore the nearest checkpoint at or before it, then
+   * simulate forward. The engine object is reused (state replaced in place).
+   */
+  seek(targetTick) {
+    const target = Math.max(this.recording.startTick, Math.min(this.endTick, Math.floor(targetTick)));
+
+    // Only rewind when necessary — seeking forward just keeps simulating
+    if (target < this.engine.tick || this._nearestCheckpoint(target) > this.engine.tick) {
+      const from = this._nearestCheckpoint(target);
+      this.engine.loadState(this.checkpoints.get(from));
+      this.engine.isPaused = false;
+      this.cursor = this.commands.findIndex(c => c.tick >= from);
+      if (this.cursor === -1) this.cursor = this.commands.length;
+    }
+
+    while (this.engine.tick < target && this.step()) { /* fast-forward */ }
+  }
+
+  _nearestCheckpoint(tick) {
+    let best = this.recording.startTick;
+    for (const t of this.checkpoints.keys()) {
+      if (t <= tick && t > best) best = t;
+    }
+    return best;
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ *
+ * Every random decision in the simulation goes through one instance owned by
+ * SimulationEngine, so the same seed + the same inputs replay the exact same
+ * match. Rendering-only jitter (mesh scatter, particles) keeps using
+ * Math.random() — it never feeds back into sim state.
+ */
+export class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Pick a fresh 32-bit seed (used when no seed is configured).
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1) — drop-in replacement for Math.random().
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max).
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max] inclusive.
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * True with probability p.
+   */
+  chance(p) {
+    return this.next() < p;
+  }
+
+  /**
+   * Random angle in [0, 2π).
+   */
+  angle() {
+    return this.next() * Math.PI * 2;
+  }
+
+  /**
+   * Snapshot generator state (for save games / replays).
+   */
+  serialize() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Restore a snapshot taken with serialize().
+   */
+  restore({ seed, state }) {
+    this.seed = seed >>> 0;
+    this.state = state >>> 0;
+  }
+}
+
+export default SeededRandom;
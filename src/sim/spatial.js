@@ -0,0 +1,104 @@
+import CONFIG from './config.js';
+
+/**
+ * Uniform-grid spatial index over the world grid.
+ *
+ * Items are any objects with x/y grid coordinates (ants, food patches).
+ * Buckets are fixed for the world bounds, so rebuilding is a clear + one
+ * push per item — cheap enough to redo every tick. Items that seldom come
+ * and go (corpses) are kept current with insert()/remove() instead; they
+ * must be removed before they move. Distance checks always
+ * use the item's *current* x/y, the bucket only narrows the candidates.
+ */
+export class SpatialHash {
+  /**
+   * @param {number} [cellSize] - bucket size in grid cells (≈ typical query radius)
+   * @param {number} [width]    - world width in grid cells
+   * @param {number} [height]   - world height in grid cells
+   */
+  constructor(cellSize = CONFIG.SPATIAL_CELL_SIZE, width = CONFIG.WORLD_WIDTH, height = CONFIG.WORLD_HEIGHT) {
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+    this.size = 0;
+  }
+
+  _col(x) {
+    return Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize)));
+  }
+
+  _row(y) {
+    return Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)));
+  }
+
+  /**
+   * Remove every item.
+   */
+  clear() {
+    for (const cell of this.cells) cell.length = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Add one item at its current position.
+   */
+  insert(item) {
+    this.cells[this._col(item.x) * this.rows + this._row(item.y)].push(item);
+    this.size++;
+  }
+
+  /**
+   * Drop one item, looked up at its current position.
+   */
+  remove(item) {
+    const cell = this.cells[this._col(item.x) * this.rows + this._row(item.y)];
+    const i = cell.indexOf(item);
+    if (i < 0) return;
+    cell.splice(i, 1);
+    this.size--;
+  }
+
+  /**
+   * Re-index a whole collection (call after the items have moved).
+   */
+  rebuild(items) {
+    this.clear();
+    for (const item of items) this.insert(item);
+  }
+
+  /**
+   * Call fn(item, dist) for every item within radius of (x, y).
+   */
+  forEachInRadius(x, y, radius, fn) {
+    const c0 = this._col(x - radius), c1 = this._col(x + radius);
+    const r0 = this._row(y - radius), r1 = this._row(y + radius);
+    for (let c = c0; c <= c1; c++) {
+      for (let r = r0; r <= r1; r++) {
+        for (const item of this.cells[c * this.rows + r]) {
+          const dist = Math.hypot(x - item.x, y - item.y);
+          if (dist <= radius) fn(item, dist);
+        }
+      }
+    }
+  }
+
+  /**
+   * Closest item strictly within maxDist of (x, y) that passes filter.
+   * @param {function(object): boolean} [filter]
+   * @returns {object|null}
+   */
+  nearest(x, y, maxDist, filter) {
+    let closest = null;
+    let closestDist = maxDist;
+    this.forEachInRadius(x, y, maxDist, (item, dist) => {
+      if (dist < closestDist && (!filter || filter(item))) {
+        closestDist = dist;
+        closest = item;
+      }
+    });
+    return closest;
+  }
+}
+
+export default SpatialHash;
@@ -0,0 +1,130 @@
+import CONFIG from './config.js';
+
+/**
+ * Terrain heightmap shared by the simulation and the renderer.
+ *
+ * Heights are in 3D world units, sampled at integer grid coordinates
+ * ((W+1) × (H+1) corner samples, index = x * (H + 1) + y) and bilinearly
+ * interpolated in between. The shape is the original rolling-hills formula
+ * with seeded phase offsets, so each seed gets its own landscape while the
+ * grid → world mapping matches the scene (world = (grid - size/2) * CELL_SIZE).
+ */
+export class Heightmap {
+  /**
+   * @param {object} params - { phases: [p1, p2, p3], amplitude }
+   */
+  constructor({ phases, amplitude = CONFIG.TERRAIN_AMPLITUDE }) {
+    this.phases = phases;
+    this.amplitude = amplitude;
+    this.width = CONFIG.WORLD_WIDTH;
+    this.height = CONFIG.WORLD_HEIGHT;
+
+    const W = this.width, H = this.height;
+    this.samples = new Float32Array((W + 1) * (H + 1));
+    for (let x = 0; x <= W; x++) {
+      for (let y = 0; y <= H; y++) {
+        this.samples[x * (H + 1) + y] = this._formula(x, y);
+      }
+    }
+
+    // Per-cell centre heights (index = x * H + y, like the other grids)
+    // and lowness in [0, 1]: 1 = deepest valley, 0 = highest peak
+    this.cellHeights = new Float32Array(W * H);
+    let min = Infinity, max = -Infinity;
+    for (let x = 0; x < W; x++) {
+      for (let y = 0; y < H; y++) {
+        const h = this.heightAt(x + 0.5, y + 0.5);
+        this.cellHeights[x * H + y] = h;
+        if (h < min) min = h;
+        if (h > max) max = h;
+      }
+    }
+    const range = max - min || 1;
+    this.minHeight = min;
+    this.maxHeight = max;
+    this.lowness = this.cellHeights.map(h => (max - h) / range);
+  }
+
+  /**
+   * New random landscape drawn from the sim RNG.
+   */
+  static generate(rng) {
+    return new Heightmap({ phases: [rng.angle(), rng.angle(), rng.angle()] });
+  }
+
+  _formula(gx, gy) {
+    const [p1, p2, p3] = this.phases;
+    const worldX = (gx - this.width / 2) * CONFIG.CELL_SIZE;
+    const localY = -(gy - this.height / 2) * CONFIG.CELL_SIZE; // plane's local Y = -world Z
+    return (
+      Math.sin(worldX * 0.08 + p1) * 0.5 +
+      Math.cos(localY * 0.08 + p2) * 0.5 +
+      Math.sin(worldX * 0.03 + localY * 0.04 + p3) * 0.3
+    ) * this.amplitude;
+  }
+
+  /**
+   * Interpolated height (3D units) at a grid position; clamped at the edges.
+   */
+  heightAt(gx, gy) {
+    const H1 = this.height + 1;
+    const x = Math.max(0, Math.min(this.width, gx));
+    const y = Math.max(0, Math.min(this.height, gy));
+    const x0 = Math.min(this.width - 1, Math.floor(x));
+    const y0 = Math.min(this.height - 1, Math.floor(y));
+    const tx = x - x0, ty = y - y0;
+    const s = this.samples;
+    const i = x0 * H1 + y0;
+    const top = s[i] + (s[i + H1] - s[i]) * tx;
+    const bottom = s[i + 1] + (s[i + H1 + 1] - s[i + 1]) * tx;
+    return top + (bottom - top) * ty;
+  }
+
+  /**
+   * Rise per 3D unit when moving from (gx, gy) along a heading (radians).
+   * Positive = uphill.
+   */
+  gradeAlong(gx, gy, angle) {
+    const ahead = this.heightAt(gx + Math.cos(angle), gy + Math.sin(angle));
+    return (ahead - this.heightAt(gx, gy)) / CONFIG.CELL_SIZE;
+  }
+
+  /**
+   * Steepness (3D rise per 3D unit, any direction) at a grid position.
+   */
+  slopeAt(gx, gy) {
+    const dx = this.heightAt(gx + 0.5, gy) - this.heightAt(gx - 0.5, gy);
+    const dy = this.heightAt(gx, gy + 0.5) - this.heightAt(gx, gy - 0.5);
+    return Math.hypot(dx, dy) / CONFIG.CELL_SIZE;
+  }
+
+  /**
+   * Lowness of the cell containing (gx, gy): 1 = valley floor, 0 = peak.
+   */
+  lownessAt(gx, gy) {
+    const ix = Math.max(0, Math.min(this.width - 1, Math.floor(gx)));
+    const iy = Math.max(0, Math.min(this.height - 1, Math.floor(gy)));
+    return this.lowness[ix * this.height + iy];
+  }
+
+  /**
+   * Water surface height when the lowest `level` fraction of the height
+   * range is flooded (cells with lowness > 1 - level are under water).
+   */
+  floodHeight(level) {
+    return this.minHeight + level * (this.maxHeight - this.minHeight);
+  }
+
+  /**
+   * Generation parameters (the samples are rebuilt from these).
+   */
+  serialize() {
+    return { phases: [...this.phases], amplitude: this.amplitude };
+  }
+
+  static deserialize(data) {
+    return new Heightmap(data);
+  }
+}
+
+export default Heightmap;
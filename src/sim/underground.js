@@ -12,8 +12,8 @@ import CONFIG from './config.js';
 export class ColonyUnderground {
   constructor(colonyId) {
     this.colonyId = colonyId;
-    this.nodes = new Map();   // nodeId → { id, type, x, y, z, radius, label, built }
-    this.edges = new Map();   // edgeId → { id, fromId, toId, width, built }
+    this.nodes = new Map();   // nodeId → { id, type, x, y, z, radius, label, built, progress?, wear? }
+    this.edges = new Map();   // edgeId → { id, fromId, toId, width, built, progress? }
     this.nextNodeId = 0;
     this.nextEdgeId = 0;
 
@@ -78,6 +78,13 @@ export class ColonyUnderground {
     return null;
   }
 
+  /**
+   * Built chambers of a designated type (e.g. 'food_store').
+   */
+  getChambers(type) {
+    return [...this.nodes.values()].filter(n => n.type === type && n.built);
+  }
+
   /**
    * Get all nodes connected to a given node.
    */
@@ -99,6 +106,13 @@ export class ColonyUnderground {
     return edge;
   }
 
+  /**
+   * Built tunnel edges.
+   */
+  getTunnels() {
+    return [...this.edges.values()].filter(e => e.built);
+  }
+
   /**
    * Get the edge connecting two nodes, if any.
    */
@@ -173,6 +187,41 @@ export class ColonyUnderground {
     return true;
   }
 
+  // ─── CONSTRUCTION ─────────────────────────────────────────────────
+
+  /**
+   * Next unbuilt chamber or tunnel (chambers first), or null.
+   * @returns {{ kind: 'node'|'edge', item, cost }|null} cost in digger-ticks
+   */
+  getPendingWork() {
+    for (const node of this.nodes.values()) {
+      if (node.built) continue;
+      const building = CONFIG.BUILDING_TYPES[node.type.toUpperCase()] || CONFIG.BUILDING_TYPES.CHAMBER;
+      return { kind: 'node', item: node, cost: building.cost * CONFIG.DIG_WORK_PER_COST };
+    }
+    for (const edge of this.edges.values()) {
+      if (edge.built) continue;
+      return { kind: 'edge', item: edge, cost: CONFIG.BUILDING_TYPES.TUNNEL.cost * CONFIG.DIG_WORK_PER_COST };
+    }
+    return null;
+  }
+
+  /**
+   * Put digger work into the next pending chamber or tunnel.
+   * @param {number} work - digger-ticks
+   * @returns {object|null} the node or edge this completed, if any
+   */
+  excavate(work) {
+    const pending = this.getPendingWork();
+    if (!pending) return null;
+    const { item, cost } = pending;
+    item.progress = (item.progress || 0) + work;
+    if (item.progress < cost) return null;
+    item.built = true;
+    delete item.progress;
+    return item;
+  }
+
   // ─── QUERIES ──────────────────────────────────────────────────────
 
   /**
@@ -277,6 +326,34 @@ export class ColonyUnderground {
       inNode: null,
     };
   }
+
+  // ─── SAVE / LOAD ──────────────────────────────────────────────────
+
+  /**
+   * Plain-data snapshot of the node/edge maps and id counters.
+   */
+  serialize() {
+    return {
+      colonyId: this.colonyId,
+      nodes: [...this.nodes.values()].map(n => ({ ...n })),
+      edges: [...this.edges.values()].map(e => ({ ...e })),
+      nextNodeId: this.nextNodeId,
+      nextEdgeId: this.nextEdgeId,
+    };
+  }
+
+  /**
+   * Rebuild a network from serialize() output (skips the starter layout).
+   */
+  static deserialize(data) {
+    const ug = Object.create(ColonyUnderground.prototype);
+    ug.colonyId = data.colonyId;
+    ug.nodes = new Map(data.nodes.map(n => [n.id, { ...n }]));
+    ug.edges = new Map(data.edges.map(e => [e.id, { ...e }]));
+    ug.nextNodeId = data.nextNodeId;
+    ug.nextEdgeId = data.nextEdgeId;
+    return ug;
+  }
 }
 
 export default ColonyUnderground;
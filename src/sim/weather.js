@@ -0,0 +1,114 @@
+import CONFIG from './config.js';
+
+/**
+ * Weather states. `cloud` dims the light, `rain` drives everything the sim
+ * cares about (trail washout, flooding, sheltering, paused food respawn).
+ * Durations are in ticks; see CONFIG.WEATHER_TRANSITIONS for what follows what.
+ */
+export const WEATHER = {
+  CLEAR:    { name: 'Clear',    cloud: 0,   rain: 0,   duration: [4000, 12000] },
+  OVERCAST: { name: 'Overcast', cloud: 0.6, rain: 0,   duration: [2000, 6000] },
+  RAIN:     { name: 'Rain',     cloud: 0.8, rain: 0.5, duration: [1500, 4500] },
+  STORM:    { name: 'Storm',    cloud: 1,   rain: 1,   duration: [600, 1800] },
+};
+
+/**
+ * Weather for the world: a Markov chain over WEATHER states with cloud
+ * cover, rain intensity and flood level easing toward the current state
+ * so changes roll in rather than snapping. Draws from the shared sim RNG
+ * only when a state ends.
+ */
+export class Weather {
+  /**
+   * @param {SeededRandom} rng - shared sim RNG
+   */
+  constructor(rng) {
+    this.rng = rng;
+    this.state = 'CLEAR';
+    this.ticksLeft = this._rollDuration('CLEAR');
+    this.cloud = 0;        // 0 … 1, eased toward WEATHER[state].cloud
+    this.rain = 0;         // 0 … 1, eased toward WEATHER[state].rain
+    this.floodLevel = 0;   // Fraction of the terrain's height range under water (lowest first)
+  }
+
+  _rollDuration(state) {
+    const [min, max] = WEATHER[state].duration;
+    return this.rng.int(min, max);
+  }
+
+  _nextState() {
+    const weights = CONFIG.WEATHER_TRANSITIONS[this.state];
+    let total = 0;
+    for (const key in weights) total += weights[key];
+    let roll = this.rng.next() * total;
+    for (const key in weights) {
+      roll -= weights[key];
+      if (roll < 0) return key;
+    }
+    return this.state;
+  }
+
+  /**
+   * Advance one tick.
+   */
+  update() {
+    if (--this.ticksLeft <= 0) {
+      this.state = this._nextState();
+      this.ticksLeft = this._rollDuration(this.state);
+    }
+
+    const target = WEATHER[this.state];
+    const step = 1 / CONFIG.WEATHER_RAMP_TICKS;
+    this.cloud = approach(this.cloud, target.cloud, step);
+    this.rain = approach(this.rain, target.rain, step);
+
+    const floodTarget = CONFIG.RAIN_FLOOD_MAX * this.rain;
+    this.floodLevel = this.floodLevel < floodTarget
+      ? Math.min(floodTarget, this.floodLevel + CONFIG.FLOOD_RISE_RATE * this.rain)
+      : Math.max(floodTarget, this.floodLevel - CONFIG.FLOOD_RECEDE_RATE);
+  }
+
+  /**
+   * Extra per-tick multiplier on pheromone evaporation rates (1 = none).
+   */
+  get pheromoneDecay() {
+    return 1 - CONFIG.RAIN_PHEROMONE_WASHOUT * this.rain;
+  }
+
+  /**
+   * How strongly ants want to get under cover (0 … 1).
+   */
+  get shelter() {
+    return this.rain;
+  }
+
+  /**
+   * Food patches don't regrow while it's raining.
+   */
+  get respawnPaused() {
+    return this.rain > 0.1;
+  }
+
+  serialize() {
+    return {
+      state: this.state,
+      ticksLeft: this.ticksLeft,
+      cloud: this.cloud,
+      rain: this.rain,
+      floodLevel: this.floodLevel,
+    };
+  }
+
+  static deserialize(data, rng) {
+    const weather = Object.create(Weather.prototype);
+    weather.rng = rng;
+    Object.assign(weather, data);
+    return weather;
+  }
+}
+
+function approach(value, target, step) {
+  return value < target ? Math.min(target, value + step) : Math.max(target, value - step);
+}
+
+export default Weather;
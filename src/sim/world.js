@@ -1,77 +1,439 @@
 import CONFIG from './config.js';
 import { PheromoneGrid } from './pheromone.js';
+import { SpatialHash } from './spatial.js';
+import { Heightmap } from './terrain.js';
+import { Weather } from './weather.js';
 
 /**
- * World grid: food patches, obstacles, pheromones.
+ * World grid: terrain, weather, food patches, obstacles, pheromones.
+ *
+ * The heightmap lives here so the sim and the 3D scene share one landscape:
+ * slopes change ant speed, valleys hold pheromone longer and collect food.
+ *
+ * Obstacles are kept as shapes (for rendering / saving) and rasterised into
+ * a per-cell passability grid: 1 = open ground, 0 = blocked (rock, water),
+ * in between = slow going (twigs). Index = x * height + y, like pheromones.
  */
 export class World {
-  constructor() {
+  /**
+   * @param {SeededRandom} rng - shared sim RNG
+   * @param {SimClock} clock  - engine clock (time of day), read by ants
+   * @param {Array<{x: number, y: number}>} [nests] - the map's starting nests
+   *   (one colony each); food and obstacles keep clear of them
+   */
+  constructor(rng, clock, nests = CONFIG.MAPS.DUEL.nests) {
+    this.rng = rng;                // Shared SeededRandom owned by SimulationEngine
+    this.clock = clock;
+    this.nests = nests.map(({ x, y }) => ({ x, y }));
+    this.heightmap = Heightmap.generate(rng);
     this.foodPatches = [];
-    this.pheromones = new PheromoneGrid();
+    this.corpses = [];             // { id, x, y, colonyId, faction, type, age, atMidden } — dead ants (see addCorpse)
+    this.nextCorpseId = 0;
+    this.obstacles = [];           // { type: 'ROCK' | 'TWIG' | 'PUDDLE', x, y, radius, [length, angle] }
+    this.passability = new Float32Array(CONFIG.WORLD_WIDTH * CONFIG.WORLD_HEIGHT).fill(1);
+    this.pheromones = new PheromoneGrid(this.nests.length, this.heightmap);
     
     this._generateFood();
     this._generateObstacles();
+    this.weather = new Weather(rng);
+
+    // Rebuilt by _moveDraggedFood() when a heavy item moves
+    this.foodIndex = new SpatialHash();
+    this.foodIndex.rebuild(this.foodPatches);
+    this.corpseIndex = new SpatialHash();
   }
 
+  /**
+   * Scatter CONFIG.FOOD_CLUSTERS food items, types drawn by spawnWeight.
+   * Piles (seeds, sugar) hold many units; heavy items (insects) are one
+   * unit that a group of ants must drag home together.
+   */
   _generateFood() {
-    const clusters = CONFIG.FOOD_CLUSTERS;
-    const patchSize = CONFIG.FOOD_PER_CLUSTER;
-
-    for (let c = 0; c < clusters; c++) {
-      // Random location, avoiding nests
-      let x, y;
-      let valid = false;
-      while (!valid) {
-        x = Math.random() * (CONFIG.WORLD_WIDTH - 10) + 5;
-        y = Math.random() * (CONFIG.WORLD_HEIGHT - 10) + 5;
-
-        const distToPlayer = Math.hypot(x - CONFIG.PLAYER_COLONY_NEST_X, y - CONFIG.PLAYER_COLONY_NEST_Y);
-        const distToEnemy = Math.hypot(x - CONFIG.ENEMY_COLONY_NEST_X, y - CONFIG.ENEMY_COLONY_NEST_Y);
-
-        if (distToPlayer > 10 && distToEnemy > 10) {
-          valid = true;
+    const types = Object.keys(CONFIG.FOOD_TYPES);
+    let totalWeight = 0;
+    for (const t of types) totalWeight += CONFIG.FOOD_TYPES[t].spawnWeight;
+
+    for (let c = 0; c < CONFIG.FOOD_CLUSTERS; c++) {
+      let roll = this.rng.next() * totalWeight;
+      const type = types.find(t => (roll -= CONFIG.FOOD_TYPES[t].spawnWeight) < 0) || types[0];
+      const spot = this._randomFoodSpot();
+      if (!spot) continue;
+      const food = { ...spot, type, amount: this._foodUnits(type) };
+      if (this.carriersNeeded(food) > 1) Object.assign(food, { carriers: 0, pullX: 0, pullY: 0, held: 0, moving: false });
+      this.foodPatches.push(food);
+    }
+  }
+
+  /**
+   * Random food location, avoiding nests, obstacles and steep ground,
+   * favouring hollows. Null if a few hundred tries find nothing.
+   */
+  _randomFoodSpot() {
+    for (let attempt = 0; attempt < 200; attempt++) {
+      const x = this.rng.next() * (CONFIG.WORLD_WIDTH - 10) + 5;
+      const y = this.rng.next() * (CONFIG.WORLD_HEIGHT - 10) + 5;
+
+      const nearNest = this.nests.some(n => Math.hypot(x - n.x, y - n.y) <= 10);
+
+      if (!nearNest && this.isPassable(x, y) && this.heightmap.slopeAt(x, y) <= CONFIG.FOOD_MAX_SLOPE) {
+        const lowness = this.heightmap.lownessAt(x, y);
+        if (this.rng.next() < 1 - CONFIG.FOOD_VALLEY_PREFERENCE * (1 - lowness)) return { x, y };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Full size (units) of a fresh item of this type in the current season.
+   */
+  _foodUnits(type) {
+    const scale = CONFIG.FOOD_TYPES[type].patchScale * this.clock.season.foodAmount;
+    return Math.max(1, Math.round(CONFIG.FOOD_PER_CLUSTER * scale));
+  }
+
+  _generateObstacles() {
+    const rng = this.rng;
+    const place = (count, make) => {
+      for (let i = 0; i < count; i++) {
+        // Give up on a slot after a few tries rather than loop forever
+        for (let attempt = 0; attempt < 30; attempt++) {
+          const obstacle = make();
+          if (this._isClearFor(obstacle)) {
+            this.obstacles.push(obstacle);
+            break;
+          }
         }
       }
+    };
+    const randomPos = () => ({
+      x: rng.range(5, CONFIG.WORLD_WIDTH - 5),
+      y: rng.range(5, CONFIG.WORLD_HEIGHT - 5),
+    });
 
-      this.foodPatches.push({
-        x,
-        y,
-        amount: patchSize,
-      });
+    place(CONFIG.OBSTACLE_PUDDLES, () => ({
+      type: 'PUDDLE', ...randomPos(), radius: rng.range(...CONFIG.OBSTACLE_PUDDLE_RADIUS),
+    }));
+    place(CONFIG.OBSTACLE_ROCKS, () => ({
+      type: 'ROCK', ...randomPos(), radius: rng.range(...CONFIG.OBSTACLE_ROCK_RADIUS),
+    }));
+    place(CONFIG.OBSTACLE_TWIGS, () => ({
+      type: 'TWIG', ...randomPos(), radius: 0.6,
+      length: rng.range(...CONFIG.OBSTACLE_TWIG_LENGTH), angle: rng.angle(),
+    }));
+
+    this._rasterizeObstacles();
+  }
+
+  /**
+   * Obstacles keep clear of nests (and their surroundings), food patches
+   * and each other.
+   */
+  _isClearFor(obstacle) {
+    const extent = obstacle.type === 'TWIG' ? obstacle.length / 2 : obstacle.radius;
+    for (const nest of this.nests) {
+      if (Math.hypot(obstacle.x - nest.x, obstacle.y - nest.y) < extent + CONFIG.NEST_RADIUS * 2) return false;
+    }
+    for (const food of this.foodPatches) {
+      if (Math.hypot(obstacle.x - food.x, obstacle.y - food.y) < extent + 3) return false;
     }
+    for (const other of this.obstacles) {
+      const otherExtent = other.type === 'TWIG' ? other.length / 2 : other.radius;
+      if (Math.hypot(obstacle.x - other.x, obstacle.y - other.y) < extent + otherExtent + 2) return false;
+    }
+    return true;
   }
 
-  _generateObstacles() {
-    // Obstacles can be added here; for now, empty.
+  /**
+   * Burn obstacle shapes into the passability grid (cell centres tested).
+   */
+  _rasterizeObstacles() {
+    const H = CONFIG.WORLD_HEIGHT;
+    this.passability.fill(1);
+    for (const o of this.obstacles) {
+      const extent = (o.type === 'TWIG' ? o.length / 2 : 0) + o.radius;
+      const x0 = Math.max(0, Math.floor(o.x - extent)), x1 = Math.min(CONFIG.WORLD_WIDTH - 1, Math.ceil(o.x + extent));
+      const y0 = Math.max(0, Math.floor(o.y - extent)), y1 = Math.min(H - 1, Math.ceil(o.y + extent));
+      const value = o.type === 'TWIG' ? CONFIG.OBSTACLE_TWIG_PASSABILITY : 0;
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          if (obstacleContains(o, x + 0.5, y + 0.5)) {
+            const i = x * H + y;
+            this.passability[i] = Math.min(this.passability[i], value);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Movement speed multiplier at a grid location: 1 open, 0 blocked.
+   * Off-grid counts as blocked.
+   */
+  getPassability(x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    if (ix < 0 || ix >= CONFIG.WORLD_WIDTH || iy < 0 || iy >= CONFIG.WORLD_HEIGHT) return 0;
+    return this.passability[ix * CONFIG.WORLD_HEIGHT + iy];
+  }
+
+  /**
+   * Speed multiplier for moving from (x, y) along a heading: obstacle
+   * passability (twigs) × slope (uphill slower, downhill a little faster).
+   * An ant somehow inside a blocked cell moves at full speed to get out.
+   */
+  terrainSpeed(x, y, angle) {
+    const p = this.getPassability(x, y);
+    const grade = this.heightmap.gradeAlong(x, y, angle);
+    const slope = grade > 0
+      ? 1 - CONFIG.TERRAIN_UPHILL_PENALTY * grade
+      : 1 - CONFIG.TERRAIN_DOWNHILL_BONUS * grade;
+    const [min, max] = CONFIG.TERRAIN_SLOPE_SPEED_RANGE;
+    const flood = this.isFlooded(x, y) ? CONFIG.FLOOD_SPEED : 1;
+    return (p > 0 ? p : 1) * Math.max(min, Math.min(max, slope)) * flood;
+  }
+
+  /**
+   * Is this spot under flood water? Rain floods the lowest ground first.
+   */
+  isFlooded(x, y) {
+    const level = this.weather.floodLevel;
+    return level > 0 && this.heightmap.lownessAt(x, y) > 1 - level;
+  }
+
+  /**
+   * Can an ant stand at this grid location?
+   */
+  isPassable(x, y) {
+    return this.getPassability(x, y) > 0;
+  }
+
+  /**
+   * Move from (x, y) toward (nx, ny) without entering blocked cells:
+   * if the full step is blocked, slide along whichever axis is free.
+   * @returns {{x: number, y: number, blocked: boolean}}
+   */
+  resolveMove(x, y, nx, ny) {
+    if (this.isPassable(nx, ny)) return { x: nx, y: ny, blocked: false };
+    if (this.isPassable(nx, y)) return { x: nx, y, blocked: true };
+    if (this.isPassable(x, ny)) return { x, y: ny, blocked: true };
+    return { x, y, blocked: true };
+  }
+
+  /**
+   * Closest food patch with food left within maxDist of (x, y), or null.
+   */
+  findFoodNear(x, y, maxDist) {
+    return this.foodIndex.nearest(x, y, maxDist, food => food.amount > 0);
+  }
+
+  /**
+   * Ants needed to move one unit of this food (1 = a single ant carries it).
+   */
+  carriersNeeded(food) {
+    return Math.ceil(CONFIG.FOOD_TYPES[food.type].weight / CONFIG.FOOD_CARRY_CAPACITY);
+  }
+
+  /**
+   * One carrier grips a heavy item this tick, pulling toward (tx, ty).
+   * The item moves in the next update() if enough ants hold it; ants
+   * pulling toward different nests work against each other.
+   */
+  pullFood(food, tx, ty) {
+    const a = Math.atan2(ty - food.y, tx - food.x);
+    food.carriers++;
+    food.pullX += Math.cos(a);
+    food.pullY += Math.sin(a);
+  }
+
+  /**
+   * Drag every sufficiently gripped heavy item one step along its net pull
+   * (slowed by terrain and night like the ants), then reset the grips.
+   */
+  _moveDraggedFood() {
+    let moved = false;
+    for (const food of this.foodPatches) {
+      if (food.carriers === undefined) continue;   // Piles are carried a unit at a time
+      food.moving = false;
+      food.held = food.carriers;                   // Carriers last tick (for ants and the HUD)
+      const pull = Math.hypot(food.pullX, food.pullY);
+      if (food.amount > 0 && food.carriers >= this.carriersNeeded(food) && pull > 1e-6) {
+        const angle = Math.atan2(food.pullY, food.pullX);
+        const spd = CONFIG.ANT_SPEED * CONFIG.FOOD_DRAG_SPEED * Math.min(1, pull / food.carriers) *
+          this.clock.speedFactor * this.terrainSpeed(food.x, food.y, angle);
+        const step = this.resolveMove(
+          food.x, food.y,
+          food.x + Math.cos(angle) * spd,
+          food.y + Math.sin(angle) * spd
+        );
+        food.moving = step.x !== food.x || step.y !== food.y;
+        food.x = step.x;
+        food.y = step.y;
+        moved = moved || food.moving;
+      }
+      food.carriers = 0;
+      food.pullX = 0;
+      food.pullY = 0;
+    }
+    if (moved) this.foodIndex.rebuild(this.foodPatches);
+  }
+
+  // ─── CORPSES ──────────────────────────────────────────────────────
+
+  /**
+   * Leave a dead ant's body where it fell.
+   * @param {Ant} ant
+   * @param {number} faction - its colony's faction (for colouring)
+   */
+  addCorpse(ant, faction) {
+    this.placeCorpse({
+      id: this.nextCorpseId++, x: ant.x, y: ant.y,
+      colonyId: ant.colonyId, faction, type: ant.type, age: 0, atMidden: false,
+    }, ant.x, ant.y);
+  }
+
+  /**
+   * Put a corpse (new, or dropped by the ant hauling it) down at (x, y).
+   * @param {boolean} [atMidden] - dropped on its colony's midden
+   */
+  placeCorpse(corpse, x, y, atMidden = false) {
+    Object.assign(corpse, { x, y, atMidden });
+    this.corpses.push(corpse);
+    this.corpseIndex.insert(corpse);
+  }
+
+  /**
+   * Lift a corpse off the ground (an ant picks it up).
+   */
+  takeCorpse(corpse) {
+    this.corpses.splice(this.corpses.indexOf(corpse), 1);
+    this.corpseIndex.remove(corpse);
+  }
+
+  /**
+   * Closest corpse within maxDist of (x, y) that passes filter, or null.
+   */
+  findCorpseNear(x, y, maxDist, filter) {
+    return this.corpseIndex.nearest(x, y, maxDist, filter);
+  }
+
+  /**
+   * Corpses within radius of (x, y) not yet carried to a midden.
+   */
+  countCorpsesNear(x, y, radius) {
+    let count = 0;
+    this.corpseIndex.forEachInRadius(x, y, radius, corpse => {
+      if (!corpse.atMidden) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Age every corpse and drop those rotted away.
+   */
+  _decayCorpses() {
+    let rotted = 0;
+    for (const corpse of this.corpses) {
+      if (++corpse.age < CONFIG.CORPSE_DECAY_TICKS) continue;
+      this.corpseIndex.remove(corpse);
+      rotted++;
+    }
+    if (rotted > 0) this.corpses = this.corpses.filter(c => c.age < CONFIG.CORPSE_DECAY_TICKS);
   }
 
   /**
    * Deposit pheromone at a grid location.
    */
-  depositPheromone(x, y, colonyId, strength) {
-    this.pheromones.deposit(x, y, colonyId, strength);
+  depositPheromone(x, y, channel, strength) {
+    this.pheromones.deposit(x, y, channel, strength);
   }
 
   /**
    * Read pheromone value at a location.
    */
-  readPheromone(x, y, colonyId) {
-    return this.pheromones.read(x, y, colonyId);
+  readPheromone(x, y, channel) {
+    return this.pheromones.read(x, y, channel);
+  }
+
+  /**
+   * Plain-data snapshot: nests, terrain, weather, food patches, corpses, obstacles and all pheromone channels.
+   */
+  serialize() {
+    return {
+      nests: this.nests.map(n => ({ ...n })),
+      heightmap: this.heightmap.serialize(),
+      weather: this.weather.serialize(),
+      foodPatches: this.foodPatches.map(f => ({ ...f })),
+      corpses: this.corpses.map(c => ({ ...c })),
+      nextCorpseId: this.nextCorpseId,
+      obstacles: this.obstacles.map(o => ({ ...o })),
+      pheromones: this.pheromones.serialize(),
+    };
+  }
+
+  /**
+   * Rebuild a world from serialize() output without regenerating the map.
+   */
+  static deserialize(data, rng, clock) {
+    const world = Object.create(World.prototype);
+    world.rng = rng;
+    world.clock = clock;
+    world.nests = (data.nests || CONFIG.MAPS.DUEL.nests).map(n => ({ ...n })); // Pre-map saves were duels
+    // Saves from before the sim owned terrain used the unshifted formula
+    world.heightmap = Heightmap.deserialize(data.heightmap || { phases: [0, 0, 0] });
+    world.foodPatches = data.foodPatches.map(f => ({ ...f, type: f.type ?? 'SEED' }));  // Pre-type saves were seed piles
+    world.obstacles = (data.obstacles || []).map(o => ({ ...o }));
+    world.passability = new Float32Array(CONFIG.WORLD_WIDTH * CONFIG.WORLD_HEIGHT);
+    world._rasterizeObstacles();
+    world.pheromones = PheromoneGrid.deserialize(data.pheromones, world.heightmap);
+    world.weather = data.weather ? Weather.deserialize(data.weather, rng) : new Weather(rng);
+    world.foodIndex = new SpatialHash();
+    world.foodIndex.rebuild(world.foodPatches);
+    world.corpses = (data.corpses || []).map(c => ({ ...c }));   // Saves from before corpses: none lying about
+    world.nextCorpseId = data.nextCorpseId ?? 0;
+    world.corpseIndex = new SpatialHash();
+    world.corpseIndex.rebuild(world.corpses);
+    return world;
   }
 
   /**
-   * Update world state (pheromone decay, food respawning, etc.).
+   * Update world state (weather, pheromone decay, food respawning, etc.).
    */
   update() {
-    this.pheromones.update();
+    this.weather.update();
+    this.pheromones.update(this.weather.pheromoneDecay, this.weather.floodLevel);
+    this._moveDraggedFood();
+    this._decayCorpses();
     
-    // Respawn depleted food patches over time
+    // Respawn depleted food patches over time (not while it rains; the
+    // season sets how often and how much)
+    const season = this.clock.season;
+    if (this.weather.respawnPaused || season.foodRespawn <= 0) return;
     for (const food of this.foodPatches) {
-      if (food.amount <= 0 && Math.random() < CONFIG.FOOD_RESPAWN_CHANCE) {
-        food.amount = Math.floor(CONFIG.FOOD_PER_CLUSTER * (0.3 + Math.random() * 0.7));
+      if (food.amount <= 0 && this.rng.next() < CONFIG.FOOD_RESPAWN_CHANCE * season.foodRespawn) {
+        food.amount = Math.max(1, Math.floor(this._foodUnits(food.type) * (0.3 + this.rng.next() * 0.7)));
+        if (food.carriers !== undefined) {
+          // A carcass was eaten where it was dragged — a new one turns up
+          // elsewhere (or where it was, if nowhere else will do)
+          const spot = this._randomFoodSpot();
+          if (spot) {
+            Object.assign(food, spot);
+            this.foodIndex.rebuild(this.foodPatches);
+          }
+        }
       }
     }
   }
 }
 
+/**
+ * Is grid point (px, py) inside an obstacle shape?
+ * Twigs are capsules: within `radius` of the segment through (x, y).
+ */
+function obstacleContains(o, px, py) {
+  if (o.type !== 'TWIG') return Math.hypot(px - o.x, py - o.y) <= o.radius;
+  const dx = Math.cos(o.angle), dy = Math.sin(o.angle);
+  const along = Math.max(-o.length / 2, Math.min(o.length / 2, (px - o.x) * dx + (py - o.y) * dy));
+  return Math.hypot(px - (o.x + dx * along), py - (o.y + dy * along)) <= o.radius;
+}
+
 export default World;